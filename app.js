@@ -2,8 +2,33 @@
  * app.js — 前端純 JS 聊天室邏輯（無框架）
  * ---------------------------------------------------------
  * 
- * 修改日期：2025-12-04
+ * 修改日期：2026-10-19
  * 修改內容：
+ *   - ★ markdownToHTML 改為區塊/行內兩階段解析器（有序列表、巢狀列表、段落、巢狀引用）
+ *   - ★ sendText 支援串流回應，未完成的表格與程式碼圍欄暫不顯示
+ *   - ★ render 改為依訊息 id 增量更新，泡泡 HTML 快取，長歷史只保留最後一段在 DOM
+ *   - ★ 對話紀錄依 clientId 存入 IndexedDB（備援 localStorage），重新整理後自動還原
+ *   - ★ 多個對話串：各自的 conversationId，側欄可新增、重新命名、切換、刪除
+ *   - ★ 請求逾時、「停止」按鈕、502/503/504 與網路錯誤自動重試、錯誤泡泡「重試」
+ *   - ★ 頁面載入即暖機後端，冷啟動時顯示「Sky 正在起床」並暫緩送出第一則訊息
+ *   - ★ 離線待送區：離線時的訊息標記為待送，恢復連線後依序補送，可取消
+ *   - ★ 介面文字抽出為語系目錄（繁中／英／日），頂部選單切換，language 參數隨語系送出
+ *   - ★ API 網域改為執行時載入：config.json、<meta>、?env= 對應 prod / staging / local 環境設定
+ *   - ★ 拆分為 ES 模組（js/）：Markdown、HTML 清理、標點整理、/api/chat 用戶端、對話紀錄儲存
+ *   - ★ sanitizeHTML 強化：URL 協定與 CSS 屬性允許清單，script/style/iframe 連同內容移除，連結強制 rel="noopener noreferrer"
+ *   - ★ 嚴格 CSP：Markdown 改以 class 表示對齊與圖片寬度，innerHTML 一律經過 Trusted Types policy
+ *   - ★ 機器人回覆自動連結：裸網址、Email、台灣電話號碼轉為 https: / mailto: / tel: 連結
+ *   - ★ removeQuestionMarks 改為 Markdown 解析後的宣告式標點規則：不再改動網址、程式碼與表格，支援全形 ？，可依環境開關
+ *   - ★ processReplyContent 改走外掛式處理流程（js/reply-pipeline.js）：新的調整以註冊外掛完成，不再複製 app_YYMMDD.js
+ *   - ★ 結構化回覆：quickReplies / buttons / cards 顯示在機器人泡泡下方，其他物件仍以 JSON 字串顯示
+ *   - ★ 建議提問：歡迎訊息下方依主題列出常見問題，對話開始後收起，可由「話題」按鈕再次開啟
+ *   - ★ 回覆評價：機器人泡泡下方的讚 / 倒讚（倒讚可選原因、補充說明），送往 /api/feedback，失敗時留在佇列重送
+ *   - ★ 匯出對話：Markdown / 純文字 / JSON / 獨立 HTML 檔，支援 Web Share API 的裝置可直接分享
+ *   - ★ 列印：展開完整對話、隱藏輸入列，頁首印出活動 logo 與列印時間，連結後附上網址
+ *   - ★ 訊息時間與日期分隔線：一小時內顯示相對時間，跨日插入「今天 / 昨天 / 日期」，完整時間於滑鼠停留或長按時顯示
+ *   - ★ 恢復語音輸入：改用 Web Speech API（依介面語系辨識 zh-TW / en-US / ja-JP），辨識中文字即時顯示於輸入框，結束後直接送出
+ *   - ★ 恢復朗讀：每則機器人回覆可播放 / 暫停（speechSynthesis，依介面語系），可開啟「自動朗讀新回覆」；
+ *     朗讀文字取自處理後的回覆，表格逐列念出、網址只念網域、不念 Markdown 符號
  *   - 將機器人回覆從純文字改為 HTML 渲染
  *   - 使用 innerHTML 取代 innerText 以支援格式化內容
  *   - 新增 sanitizeHTML 函式進行基本的 XSS 防護
@@ -21,46 +46,94 @@
  * 5) 當回傳物件為 {} 時，顯示「網路不穩定，請再試一次」
  * 6) 機器人回覆支援 HTML 格式渲染
  * 7) ★ 新增：支援 Markdown 語法自動轉換為 HTML
- * 8) ★ 新增：自動移除問號功能（句中問號移除後換行）
+ * 8) ★ 新增：自動移除問號功能（句中問號移除後換行；全形標點整理，規則可依環境開關）
+ * 9) ★ 新增：支援串流回覆（SSE / NDJSON），泡泡隨片段逐步顯示
+ * 10) ★ 新增：對話紀錄永續化與「清除對話」
+ * 11) ★ 新增：多個對話串與側欄（桌機可收合、行動版為抽屜）
+ * 12) ★ 新增：請求逾時與停止、指數退避重試（每則訊息帶 idempotency key）
+ * 13) ★ 新增：後端冷啟動偵測與暖機
+ * 14) ★ 新增：離線待送區（重新整理後仍保留）
+ * 15) ★ 新增：多國語系（依瀏覽器語言預設，選擇會記住）
+ * 16) ★ 新增：環境設定檔與功能開關，非正式環境顯示環境標籤
+ * 17) ★ 新增：快速回覆、連結按鈕與卡片（點快速回覆即送出，有新回覆後舊的停用）
+ * 18) ★ 新增：建議提問（歡迎訊息下方與「話題」面板）
+ * 19) ★ 新增：回覆評價（讚 / 倒讚，離線時先存起來，恢復連線後補送）
+ * 20) ★ 新增：匯出與分享目前的對話（回覆內容與畫面相同）
+ * 21) ★ 新增：列印版面（匯出選單的「列印」或瀏覽器列印皆可）
+ * 22) ★ 新增：訊息時間與日期分隔線（依語系格式化）
+ * 23) ★ 新增：語音輸入（瀏覽器不支援時不顯示麥克風按鈕）
+ * 24) ★ 新增：朗讀回覆與自動朗讀（瀏覽器不支援時不顯示）
  *
- * 支援的 Markdown 語法：
- * - 標題：# H1, ## H2, ### H3, #### H4, ##### H5, ###### H6
- * - 粗體：**text** 或 __text__
- * - 斜體：*text* 或 _text_
- * - 刪除線：~~text~~
- * - 行內程式碼：`code`
- * - 程式碼區塊：```code``` 或 ```language code```
- * - 連結：[text](url)
- * - 圖片：![alt](url)
- * - 無序列表：- item 或 * item
- * - 有序列表：1. item
- * - 引用：> quote
- * - 水平線：--- 或 ***
- * - 換行：兩個空格 + 換行 或直接換行
- * - ★ 表格：| col1 | col2 | 格式
+ * 模組（js/，瀏覽器以 <script type="module"> 載入，不需打包；Node 20.19+ 亦可直接 import）：
+ * - config.js         執行環境設定、請求與暖機參數
+ * - i18n.js           語系目錄與 t()
+ * - markdown.js       Markdown 轉 HTML、串流中的穩定文字
+ * - sanitize.js       sanitizeHTML / escapeHTML / toTrustedHTML（需要 DOM）
+ * - punctuation.js    回覆的標點規則（行尾問號、全形標點、句中換行）
+ * - reply-pipeline.js 回覆處理流程：text / dom 外掛註冊，內建 markdown → sanitize → punctuation
+ * - rich-content.js   結構化回覆（快速回覆、連結按鈕、卡片）的格式與畫面
+ * - starters.js       建議提問（依主題分組，可由 config.json 替換）
+ * - feedback.js       回覆評價的按鈕、待送佇列與 /api/feedback 請求
+ * - export.js         對話匯出（Markdown / 純文字 / JSON / HTML）、下載與分享
+ * - timestamps.js     訊息時間標籤與日期分隔線的格式化
+ * - voice-input.js    語音輸入（SpeechRecognition）與錯誤分類
+ * - read-aloud.js     朗讀（speechSynthesis）：回覆轉為朗讀文字、播放控制
+ * - chat-api.js       /api/chat 請求、重試、串流與回應解析
+ * - message-store.js  對話紀錄的儲存、讀取與格式升級
+ * - util.js           uid / randomUUID / sleep
+ * 本檔案為進入點，負責畫面、狀態與事件
  *
  * 依賴：
  * - 頁面需有以下元素：
  *   #messages, #txtInput, #btnSend, #thinking
+ * - 可選元素：#btnStop（停止回覆）、#btnClear（清除對話）、#btnThreads、#btnNewThread、
+ *   #threadList、#sidebarBackdrop（對話串側欄）、#selLanguage（語系選單）、#envBadge（環境標籤）、
+ *   #btnTopics、#startersPopover（建議提問面板）、#btnExport、#exportMenu、#btnShare、#btnPrint（匯出選單）、
+ *   #printThread、#printTime（列印頁首）、#btnVoice、#voiceStatus（語音輸入）、
+ *   #btnAutoRead（自動朗讀開關）
  *
  * 注意：
  * - 本檔案為單純前端邏輯，不含任何打包或框架語法。
- * - 機器人回覆使用 innerHTML，需確保後端回傳內容安全
+ * - ES 模組需透過 http(s) 開啟（file:// 無法載入），本機可用 node mock/server.js
+ * - 機器人回覆使用 innerHTML：一律經過 toTrustedHTML（sanitizeHTML），不可直接寫入字串
+ * - index.html 有 CSP：新增 API 網域時需同步更新 connect-src
  */
 
-"use strict";
+import { LOCALES, t, getLocale, setLocale, translatePage } from "./js/i18n.js";
+import { RUNTIME, DEFAULT_ENV, WARMUP_CONFIG, REQUEST_CONFIG, api, loadRuntimeConfig } from "./js/config.js";
+import { stableStreamingText } from "./js/markdown.js";
+import { escapeHTML, toTrustedHTML } from "./js/sanitize.js";
+import { runReplyPipeline, replyPipelineVersion } from "./js/reply-pipeline.js";
+import { hasRichContent, renderRichContent, setQuickRepliesEnabled } from "./js/rich-content.js";
+import { renderStarterPanel, starterTopics } from "./js/starters.js";
+import { createDaySeparator, createTimeLabel, dayKey, updateDaySeparator, updateTimeLabel } from "./js/timestamps.js";
+import { isVoiceInputSupported, startVoiceInput } from "./js/voice-input.js";
+import {
+  isReadAloudSupported, onReadAloudChange, readAloudState, replyToSpeech, richToSpeech,
+  startReadAloud, stopReadAloud, toggleReadAloud
+} from "./js/read-aloud.js";
+import { buildExport, canShare, downloadExport, shareExport } from "./js/export.js";
+import { enqueueFeedback, flushFeedbackQueue, renderFeedbackControls, updateFeedbackControls } from "./js/feedback.js";
+import { fetchChat, isStreamingResponse, readChatStream, parseChatResponse } from "./js/chat-api.js";
+import { HISTORY_SAVE_DELAY, loadHistory, saveHistory } from "./js/message-store.js";
+import { uid, randomUUID, sleep } from "./js/util.js";
 
 /* =========================
-   後端 API 網域（可依環境調整）
+   ★ 執行環境標籤（設定見 js/config.js）
    ========================= */
-const API_BASE = "https://standard-chartered-taipei-charity-dhfc.onrender.com";
 
 /**
- * 組合完整 API 路徑
- * @param {string} p - API 路徑，例如 "/api/chat"
- * @returns {string} 完整的 API URL
+ * 非正式環境、或有設定被忽略時（未知的 ?env=、不允許的 API 網域）顯示環境標籤
  */
-const api = (p) => `${API_BASE}${p}`;
+function renderEnvBadge() {
+  const badge = document.getElementById("envBadge");
+  if (!badge) return;
+  const notices = RUNTIME.notices.map(({ key, params }) => t(key, params));
+  const show = RUNTIME.env !== DEFAULT_ENV || notices.length > 0;
+  badge.textContent = show ? `${RUNTIME.label}${notices.length ? " ⚠" : ""}` : "";
+  badge.title = show ? [RUNTIME.apiBase || location.origin, ...notices].join("\n") : "";
+  badge.classList.toggle("hidden", !show);
+}
 
 /* =========================
    免登入多使用者：clientId
@@ -68,12 +141,10 @@ const api = (p) => `${API_BASE}${p}`;
    - 預設使用 crypto.randomUUID()，若不支援則以時間戳+隨機碼
    ========================= */
 const CID_KEY = "fourleaf_client_id";
+
 let clientId = localStorage.getItem(CID_KEY);
 if (!clientId) {
-  // 優先使用 crypto.randomUUID()，較舊瀏覽器則用備援方案
-  clientId =
-    (crypto.randomUUID && crypto.randomUUID()) ||
-    `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  clientId = randomUUID();
   localStorage.setItem(CID_KEY, clientId);
 }
 
@@ -84,26 +155,45 @@ const elMessages = document.getElementById("messages");   // 訊息容器
 const elInput = document.getElementById("txtInput");      // 文字輸入框
 const elBtnSend = document.getElementById("btnSend");     // 送出按鈕
 const elThinking = document.getElementById("thinking");   // 思考動畫容器（如 spinner）
+const elThinkingText = elThinking?.querySelector(".thinking-text"); // 思考中文字
+const elBtnStop = document.getElementById("btnStop");     // 停止回覆按鈕
+const elBtnClear = document.getElementById("btnClear");   // 清除對話按鈕
+const elThreadList = document.getElementById("threadList");     // 對話串清單
+const elBtnNewThread = document.getElementById("btnNewThread"); // 新增對話串按鈕
+const elBtnThreads = document.getElementById("btnThreads");     // 側欄開合按鈕
+const elSidebarBackdrop = document.getElementById("sidebarBackdrop"); // 行動版側欄遮罩
+const elSelLanguage = document.getElementById("selLanguage");   // 語系選單
+const elBtnTopics = document.getElementById("btnTopics");       // 「話題」按鈕
+const elStartersPopover = document.getElementById("startersPopover"); // 建議提問面板
+const elBtnExport = document.getElementById("btnExport");       // 「匯出」按鈕
+const elExportMenu = document.getElementById("exportMenu");     // 匯出選單
+const elBtnShare = document.getElementById("btnShare");         // 分享（支援 Web Share API 時顯示）
+const elBtnPrint = document.getElementById("btnPrint");         // 列印
+const elBtnVoice = document.getElementById("btnVoice");         // 語音輸入按鈕
+const elVoiceStatus = document.getElementById("voiceStatus");   // 語音輸入狀態列
+const elBtnAutoRead = document.getElementById("btnAutoRead");   // 自動朗讀開關
 
 /* =========================
    訊息狀態（簡易記憶體）
    - 格式：{ id, role, text, ts, isHtml }
    - role 僅為 'user' | 'assistant'
    - isHtml: 標記是否以 HTML 渲染（僅機器人訊息為 true）
+   - ★ messages 永遠指向目前對話串的訊息陣列（切換對話串時重新指向）
    ========================= */
-/** @type {{id:string, role:'user'|'assistant', text:string, ts:number, isHtml?:boolean}[]} */
-const messages = [];
+/** @typedef {import("./js/message-store.js").ChatMessage} ChatMessage */
+/** @typedef {import("./js/message-store.js").ChatThread} ChatThread */
+
+/** @type {ChatThread[]} 所有對話串 */
+let threads = [];
+/** @type {string} 目前對話串 id */
+let activeThreadId = "";
+/** @type {ChatMessage[]} */
+let messages = [];
 
 /* =========================
    小工具函式
    ========================= */
 
-/**
- * 產生唯一識別碼
- * @returns {string} 隨機字串
- */
-const uid = () => Math.random().toString(36).slice(2);
-
 /**
  * 平滑滾動至訊息區底部
  */
@@ -112,589 +202,753 @@ function scrollToBottom() {
 }
 
 /**
- * ★ 解析 Markdown 表格
- * 將 Markdown 表格語法轉換為 HTML <table> 標籤
- * 
- * 支援格式：
- * | Header 1 | Header 2 | Header 3 |
- * |----------|----------|----------|
- * | Cell 1   | Cell 2   | Cell 3   |
- * | Cell 4   | Cell 5   | Cell 6   |
- * 
- * 支援對齊方式：
- * |:--- | 左對齊
- * |:---:| 置中
- * |---: | 右對齊
+ * 處理機器人回覆內容
+ * ★ 交給 reply-pipeline.js：text 外掛 → Markdown → 安全清理 → dom 外掛（標點整理等）
  * 
- * @param {string} text - 包含表格的文字
- * @returns {string} 轉換後的 HTML
+ * @param {string} text - 原始回覆文字
+ * @param {object} [context] - 傳給外掛的附加資訊
+ * @returns {TrustedHTML|string} 處理後的安全 HTML（可直接寫入 innerHTML）
  */
-function parseMarkdownTables(text) {
+function processReplyContent(text, context) {
   if (!text || typeof text !== 'string') {
-    return '';
-  }
-
-  /**
-   * 解析單行表格，取得各欄位內容
-   * @param {string} line - 表格行
-   * @returns {string[]} 欄位陣列
-   */
-  function parseTableRow(line) {
-    // 移除首尾的 | 並分割
-    let trimmed = line.trim();
-    if (trimmed.startsWith('|')) trimmed = trimmed.slice(1);
-    if (trimmed.endsWith('|')) trimmed = trimmed.slice(0, -1);
-    return trimmed.split('|').map(cell => cell.trim());
-  }
-
-  /**
-   * 檢查是否為分隔行（只包含 -、:、| 和空格）
-   * @param {string} line - 要檢查的行
-   * @returns {boolean} 是否為分隔行
-   */
-  function isSeparatorRow(line) {
-    const trimmed = line.trim();
-    // 分隔行格式：|---|---|---| 或 |:---|:---:|---:| 或不帶結尾 |
-    // 必須包含 | 和 -
-    if (!trimmed.includes('|') || !trimmed.includes('-')) {
-      return false;
-    }
-    const cells = parseTableRow(trimmed);
-    // 每個 cell 應該只有 -、: 和空格，且至少要有一個 -
-    return cells.length > 0 && cells.every(cell => /^:?-+:?$/.test(cell.trim()));
-  }
-
-  /**
-   * 檢查是否為表格行（包含 | 且不是空行）
-   * @param {string} line - 要檢查的行
-   * @returns {boolean} 是否為表格行
-   */
-  function isTableRow(line) {
-    const trimmed = line.trim();
-    // 必須包含 | 且有實際內容
-    return trimmed.length > 0 && trimmed.includes('|');
-  }
-
-  /**
-   * 從分隔行解析對齊方式
-   * @param {string} line - 分隔行
-   * @returns {string[]} 對齊方式陣列 ('left' | 'center' | 'right')
-   */
-  function parseAlignment(line) {
-    const cells = parseTableRow(line);
-    return cells.map(cell => {
-      const trimmed = cell.trim();
-      const leftColon = trimmed.startsWith(':');
-      const rightColon = trimmed.endsWith(':');
-      
-      if (leftColon && rightColon) return 'center';
-      if (rightColon) return 'right';
-      return 'left'; // 預設左對齊
-    });
+    return toTrustedHTML('');
   }
 
-  // 按行分割文字
-  const lines = text.split('\n');
-  const result = [];
-  let i = 0;
-
-  while (i < lines.length) {
-    const line = lines[i];
-    
-    // 檢查是否可能是表格的開始（包含 |）
-    if (isTableRow(line) && !isSeparatorRow(line)) {
-      // 收集連續的表格行
-      const tableLines = [];
-      let j = i;
-      
-      while (j < lines.length) {
-        const currentLine = lines[j];
-        if (isTableRow(currentLine) || isSeparatorRow(currentLine)) {
-          tableLines.push(currentLine);
-          j++;
-        } else if (currentLine.trim() === '') {
-          // 遇到空行，檢查是否已經有完整表格
-          break;
-        } else {
-          // 遇到非表格行
-          break;
-        }
-      }
-
-      // 至少需要 2 行（表頭 + 分隔線）
-      if (tableLines.length >= 2) {
-        // 找出分隔行的位置
-        let separatorIndex = -1;
-        for (let k = 0; k < tableLines.length; k++) {
-          if (isSeparatorRow(tableLines[k])) {
-            separatorIndex = k;
-            break;
-          }
-        }
+  return runReplyPipeline(text, context);
+}
 
-        // 如果找到有效的分隔行（且不是第一行）
-        if (separatorIndex > 0) {
-          // 解析對齊方式
-          const alignments = parseAlignment(tableLines[separatorIndex]);
-
-          // 建立 HTML 表格
-          let html = '<table class="markdown-table">\n';
-
-          // 處理表頭（分隔行之前的所有行）
-          html += '<thead>\n';
-          for (let k = 0; k < separatorIndex; k++) {
-            const headerCells = parseTableRow(tableLines[k]);
-            html += '<tr>\n';
-            headerCells.forEach((cell, index) => {
-              const align = alignments[index] || 'left';
-              html += '<th style="text-align:' + align + '">' + cell + '</th>\n';
-            });
-            html += '</tr>\n';
-          }
-          html += '</thead>\n';
-
-          // 處理表格內容（分隔行之後的所有行）
-          if (separatorIndex < tableLines.length - 1) {
-            html += '<tbody>\n';
-            for (let k = separatorIndex + 1; k < tableLines.length; k++) {
-              const rowCells = parseTableRow(tableLines[k]);
-              html += '<tr>\n';
-              rowCells.forEach((cell, index) => {
-                const align = alignments[index] || 'left';
-                html += '<td style="text-align:' + align + '">' + cell + '</td>\n';
-              });
-              html += '</tr>\n';
-            }
-            html += '</tbody>\n';
-          }
-
-          html += '</table>';
-          result.push(html);
-          i = j;
-          continue;
-        }
-      }
-      
-      // 不是有效的表格，將收集到的行當作普通文字
-      result.push(line);
-      i++;
-    } else {
-      // 不是表格行，保留原始行
-      result.push(line);
-      i++;
-    }
+/**
+ * 切換「思考中」動畫與輸入狀態
+ * @param {boolean} on - true 時顯示思考動畫並禁用輸入，false 時恢復
+ */
+function setThinking(on) {
+  if (!elThinking) return;
+  
+  if (on) {
+    // 顯示思考動畫，禁用輸入，以「停止」取代「送出」
+    elThinking.classList.remove("hidden");
+    if (elBtnSend) elBtnSend.disabled = true;
+    if (elInput) elInput.disabled = true;
+    if (elBtnVoice) elBtnVoice.disabled = true;
+    if (elStartersPopover) setQuickRepliesEnabled(elStartersPopover, false);
+    elBtnSend?.classList.add("hidden");
+    elBtnStop?.classList.remove("hidden");
+  } else {
+    // 隱藏思考動畫，恢復輸入
+    elThinking.classList.add("hidden");
+    if (elBtnSend) elBtnSend.disabled = false;
+    if (elInput) elInput.disabled = false;
+    if (elBtnVoice) elBtnVoice.disabled = false;
+    if (elStartersPopover) setQuickRepliesEnabled(elStartersPopover, true);
+    elBtnStop?.classList.add("hidden");
+    elBtnSend?.classList.remove("hidden");
+    // 解除禁用後讓輸入框自動聚焦
+    elInput?.focus();
   }
+}
 
-  return result.join('\n');
+/**
+ * 更換「思考中」的說明文字；不帶參數時還原預設文字
+ * @param {string} [text] - 要顯示的文字
+ */
+function setThinkingText(text) {
+  if (elThinkingText) elThinkingText.textContent = text || t("thinking");
 }
 
+/* =========================
+   ★ 對話紀錄永續化（格式、升級與讀寫見 js/message-store.js）
+   ========================= */
+
+/** 延遲寫入的計時器 */
+let historySaveTimer = 0;
 
 /**
- * ★ Markdown 轉 HTML 函式
- * 將 Markdown 格式的文字轉換為 HTML
- * 
- * 支援語法：
- * - 標題 (h1-h6)
- * - 粗體、斜體、刪除線
- * - 行內程式碼與程式碼區塊
- * - 連結與圖片
- * - 無序列表與有序列表
- * - 引用區塊
- * - 水平線
- * - 表格
- * - 換行處理
- * 
- * @param {string} markdown - Markdown 格式的原始文字
- * @returns {string} 轉換後的 HTML 字串
- */
-function markdownToHTML(markdown) {
-  if (!markdown || typeof markdown !== 'string') {
-    return '';
-  }
-
-  let html = markdown;
-
-  // ========== 第一階段：保護特殊區塊 ==========
-  // 用 placeholder 暫時替換，避免被其他規則影響
-
-  // 儲存程式碼區塊（``` 包圍的多行程式碼）
-  const codeBlocks = [];
-  html = html.replace(/```(\w*)\n?([\s\S]*?)```/g, (match, lang, code) => {
-    const index = codeBlocks.length;
-    // 對程式碼內容進行 HTML 跳脫
-    const escapedCode = code
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .trim();
-    const langClass = lang ? ` class="language-${lang}"` : '';
-    codeBlocks.push(`<pre><code${langClass}>${escapedCode}</code></pre>`);
-    return `%%CODEBLOCK_${index}%%`;
-  });
+ * 排程寫入對話紀錄（連續變動只寫一次）
+ */
+function scheduleSaveHistory() {
+  clearTimeout(historySaveTimer);
+  historySaveTimer = setTimeout(() => {
+    historySaveTimer = 0;
+    saveHistory(clientId, { threads, activeThreadId });
+  }, HISTORY_SAVE_DELAY);
+}
 
-  // 儲存行內程式碼（` 包圍的程式碼）
-  const inlineCodes = [];
-  html = html.replace(/`([^`]+)`/g, (match, code) => {
-    const index = inlineCodes.length;
-    const escapedCode = code
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;');
-    inlineCodes.push(`<code>${escapedCode}</code>`);
-    return `%%INLINECODE_${index}%%`;
-  });
+/* =========================
+   ★ 對話串（threads）
+   - 每個對話串有自己的訊息與 conversationId（送往 /api/chat，後端據此區分脈絡）
+   - 可新增、重新命名、切換、刪除；標題未手動修改時取第一則提問
+   - 桌機版側欄可收合（狀態存於 localStorage），行動版為抽屜
+   ========================= */
 
-  // ========== 第二階段：處理表格（在其他區塊元素之前）==========
-  // ★ 新增：Markdown 表格解析
-  html = parseMarkdownTables(html);
-
-  // ========== 第三階段：處理區塊級元素 ==========
-
-  // 水平線：--- 或 *** 或 ___ （獨立一行，但不能在表格內）
-  html = html.replace(/^[\s]*[-*_]{3,}[\s]*$/gm, '<hr>');
-
-  // 標題：# ~ ###### （支援 # 後有無空格）
-  html = html.replace(/^###### (.+)$/gm, '<h6>$1</h6>');
-  html = html.replace(/^##### (.+)$/gm, '<h5>$1</h5>');
-  html = html.replace(/^#### (.+)$/gm, '<h4>$1</h4>');
-  html = html.replace(/^### (.+)$/gm, '<h3>$1</h3>');
-  html = html.replace(/^## (.+)$/gm, '<h2>$1</h2>');
-  html = html.replace(/^# (.+)$/gm, '<h1>$1</h1>');
-
-  // 引用區塊：> quote（支援多行）
-  html = html.replace(/^> (.+)$/gm, '<blockquote>$1</blockquote>');
-  // 合併連續的 blockquote
-  html = html.replace(/<\/blockquote>\n<blockquote>/g, '\n');
-
-  // 無序列表：- item 或 * item（但要避免影響表格分隔線）
-  // 使用更嚴格的匹配：確保 - 後面有空格和內容
-  html = html.replace(/^[\s]*[-*+] ([^\n]+)$/gm, (match, content) => {
-    // 排除可能是表格分隔行的情況
-    if (/^[-:\s|]+$/.test(content)) {
-      return match;
-    }
-    return `<li>${content}</li>`;
-  });
-  
-  // 有序列表：1. item
-  html = html.replace(/^[\s]*\d+\. (.+)$/gm, '<li>$1</li>');
+/** 桌機版側欄收合狀態的 localStorage key */
+const SIDEBAR_COLLAPSED_KEY = "fourleaf_sidebar_collapsed";
+/** 側欄切換為抽屜的寬度 */
+const SIDEBAR_DRAWER_MEDIA = "(max-width: 768px)";
+/** 自動標題的最大字數 */
+const THREAD_TITLE_MAX = 24;
 
-  // 將連續的 <li> 包裹成 <ul>
-  html = html.replace(/(<li>[^<]*<\/li>\n?)+/g, (match) => {
-    return `<ul>${match}</ul>`;
-  });
-
-  // ========== 第四階段：處理行內元素 ==========
+/**
+ * 建立新的對話串物件（含歡迎訊息）
+ * @returns {ChatThread}
+ */
+function createThreadObject() {
+  const now = Date.now();
+  return {
+    id: uid(),
+    title: "",
+    conversationId: randomUUID(),
+    createdAt: now,
+    updatedAt: now,
+    messages: [createWelcomeMessage()],
+  };
+}
 
-  // 圖片：![alt](url)
-  html = html.replace(/!\[([^\]]*)\]\(([^)]+)\)/g, '<img src="$2" alt="$1" style="max-width:100%;">');
+/**
+ * 取得目前的對話串
+ * @returns {ChatThread}
+ */
+function activeThread() {
+  return threads.find((t) => t.id === activeThreadId) || threads[0];
+}
 
-  // 連結：[text](url)
-  html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
+/**
+ * 對話串顯示用的標題
+ * @param {ChatThread} thread - 對話串
+ * @returns {string}
+ */
+function threadTitle(thread) {
+  if (thread.title) return thread.title;
+  const firstQuestion = thread.messages.find((m) => m.role === "user");
+  if (!firstQuestion) return t("untitledThread");
+  const text = firstQuestion.text.replace(/\s+/g, " ").trim();
+  return text.length > THREAD_TITLE_MAX ? `${text.slice(0, THREAD_TITLE_MAX)}…` : text;
+}
 
-  // 粗體：**text** 或 __text__（需在斜體之前處理）
-  html = html.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-  html = html.replace(/__(.+?)__/g, '<strong>$1</strong>');
+/**
+ * 對話串有新訊息時更新時間並重繪清單
+ * @param {ChatThread} thread - 對話串
+ */
+function touchThread(thread) {
+  thread.updatedAt = Date.now();
+  renderThreadList();
+}
 
-  // 斜體：*text* 或 _text_
-  html = html.replace(/\*(.+?)\*/g, '<em>$1</em>');
-  html = html.replace(/_(.+?)_/g, '<em>$1</em>');
+/**
+ * 切換到指定對話串
+ * @param {string} id - 對話串 id
+ */
+function switchThread(id) {
+  const thread = threads.find((x) => x.id === id);
+  if (!thread) return;
+
+  activeThreadId = thread.id;
+  messages = thread.messages;
+  // 切換後一律從最新訊息開始顯示
+  renderStart = Math.max(0, messages.length - RENDER_WINDOW);
+  stopReadAloud();
+  render({ keepWindow: true });
+  elMessages?.scrollTo({ top: elMessages.scrollHeight });
+  renderThreadList();
+  closeSidebarDrawer();
+}
 
-  // 刪除線：~~text~~
-  html = html.replace(/~~(.+?)~~/g, '<del>$1</del>');
+/**
+ * 新增對話串並切換過去
+ */
+function createThread() {
+  const thread = createThreadObject();
+  threads.unshift(thread);
+  switchThread(thread.id);
+  scheduleSaveHistory();
+  elInput?.focus();
+}
 
-  // ========== 第五階段：處理換行 ==========
+/**
+ * 重新命名對話串（清空則恢復自動標題）
+ * @param {string} id - 對話串 id
+ */
+function renameThread(id) {
+  const thread = threads.find((x) => x.id === id);
+  if (!thread) return;
+
+  const name = window.prompt(t("threadNamePrompt"), threadTitle(thread));
+  if (name === null) return;
+  thread.title = name.trim().slice(0, 60);
+  renderThreadList();
+  scheduleSaveHistory();
+}
 
-  // 兩個空格 + 換行 → <br>
-  html = html.replace(/  \n/g, '<br>\n');
+/**
+ * 刪除對話串；刪到一個都不剩時自動建立新的
+ * @param {string} id - 對話串 id
+ */
+function deleteThread(id) {
+  const thread = threads.find((x) => x.id === id);
+  if (!thread) return;
+  if (!window.confirm(t("deleteThreadConfirm", { title: threadTitle(thread) }))) return;
+
+  threads = threads.filter((x) => x.id !== id);
+  if (!threads.length) threads.push(createThreadObject());
+  if (id === activeThreadId || !threads.some((x) => x.id === activeThreadId)) {
+    switchThread(sortedThreads()[0].id);
+  } else {
+    renderThreadList();
+  }
+  scheduleSaveHistory();
+}
 
-  // 單獨換行轉 <br>（保留段落感）
-  // 但要排除已經是 HTML 標籤結尾的情況，以及表格內的換行
-  html = html.replace(/([^>\n])\n([^<\n])/g, '$1<br>\n$2');
+/**
+ * 依最後更新時間排序（新的在前）
+ * @returns {ChatThread[]}
+ */
+function sortedThreads() {
+  return threads.slice().sort((x, y) => y.updatedAt - x.updatedAt);
+}
 
-  // ========== 第六階段：還原保護的區塊 ==========
+/**
+ * 重繪側欄的對話串清單
+ */
+function renderThreadList() {
+  if (!elThreadList) return;
+
+  const fragment = document.createDocumentFragment();
+  for (const thread of sortedThreads()) {
+    const li = document.createElement("li");
+    li.className = thread.id === activeThreadId ? "thread-item active" : "thread-item";
+
+    const btnOpen = document.createElement("button");
+    btnOpen.type = "button";
+    btnOpen.className = "thread-open";
+    btnOpen.textContent = threadTitle(thread);
+    btnOpen.title = threadTitle(thread);
+    if (thread.id === activeThreadId) btnOpen.setAttribute("aria-current", "true");
+    btnOpen.addEventListener("click", () => switchThread(thread.id));
+
+    const btnRename = document.createElement("button");
+    btnRename.type = "button";
+    btnRename.className = "thread-action";
+    btnRename.textContent = "✎";
+    btnRename.title = t("rename");
+    btnRename.setAttribute("aria-label", t("rename"));
+    btnRename.addEventListener("click", () => renameThread(thread.id));
+
+    const btnDelete = document.createElement("button");
+    btnDelete.type = "button";
+    btnDelete.className = "thread-action";
+    btnDelete.textContent = "✕";
+    btnDelete.title = t("delete");
+    btnDelete.setAttribute("aria-label", t("delete"));
+    btnDelete.addEventListener("click", () => deleteThread(thread.id));
+
+    li.append(btnOpen, btnRename, btnDelete);
+    fragment.appendChild(li);
+  }
+  elThreadList.replaceChildren(fragment);
+}
 
-  // 還原行內程式碼
-  inlineCodes.forEach((code, index) => {
-    html = html.replace(`%%INLINECODE_${index}%%`, code);
-  });
+/**
+ * 目前是否為行動版抽屜模式
+ * @returns {boolean}
+ */
+function isSidebarDrawer() {
+  return window.matchMedia ? window.matchMedia(SIDEBAR_DRAWER_MEDIA).matches : false;
+}
 
-  // 還原程式碼區塊
-  codeBlocks.forEach((block, index) => {
-    html = html.replace(`%%CODEBLOCK_${index}%%`, block);
-  });
+/**
+ * 開合側欄：行動版開關抽屜，桌機版收合/展開
+ */
+function toggleSidebar() {
+  if (isSidebarDrawer()) {
+    document.body.classList.toggle("sidebar-open");
+  } else {
+    const collapsed = document.body.classList.toggle("sidebar-collapsed");
+    localStorage.setItem(SIDEBAR_COLLAPSED_KEY, collapsed ? "1" : "0");
+  }
+  elBtnThreads?.setAttribute("aria-expanded", String(isSidebarOpen()));
+}
 
-  return html;
+/**
+ * 側欄目前是否可見
+ * @returns {boolean}
+ */
+function isSidebarOpen() {
+  return isSidebarDrawer()
+    ? document.body.classList.contains("sidebar-open")
+    : !document.body.classList.contains("sidebar-collapsed");
 }
 
 /**
- * 基本的 HTML 清理函式
- * - 允許常見的格式化標籤（如 <b>, <i>, <a>, <br>, <p>, <ul>, <li> 等）
- * - 移除可能造成 XSS 的危險標籤和屬性
- * 
- * 注意：這是基本防護，如需更嚴格的安全性，建議使用 DOMPurify 等專業函式庫
- * 
- * @param {string} html - 原始 HTML 字串
- * @returns {string} 清理後的 HTML 字串
- */
-function sanitizeHTML(html) {
-  // 允許的標籤清單（擴充以支援 Markdown 轉換後的標籤）
-  const allowedTags = [
-    'b', 'i', 'u', 'strong', 'em', 'del', 'br', 'p', 'div', 'span',
-    'ul', 'ol', 'li', 'a', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
-    'table', 'thead', 'tbody', 'tr', 'td', 'th',
-    'blockquote', 'code', 'pre', 'hr', 'img'
-  ];
-
-  // 允許的屬性清單（針對特定標籤）
-  const allowedAttributes = {
-    'a': ['href', 'target', 'rel'],
-    'img': ['src', 'alt', 'style', 'width', 'height'],
-    'code': ['class'],
-    'pre': ['class'],
-    'table': ['class', 'style'],
-    'th': ['style', 'colspan', 'rowspan'],
-    'td': ['style', 'colspan', 'rowspan'],
-    '*': ['class', 'style']  // 所有標籤都允許 class 和 style
-  };
+ * 關閉行動版抽屜（桌機版不受影響）
+ */
+function closeSidebarDrawer() {
+  document.body.classList.remove("sidebar-open");
+  elBtnThreads?.setAttribute("aria-expanded", String(isSidebarOpen()));
+}
 
-  // 建立暫存 DOM 元素進行解析
-  const temp = document.createElement('div');
-  temp.innerHTML = html;
-
-  /**
-   * 檢查屬性是否被允許
-   * @param {string} tagName - 標籤名稱
-   * @param {string} attrName - 屬性名稱
-   * @returns {boolean} 是否允許
-   */
-  function isAttributeAllowed(tagName, attrName) {
-    const tagAllowed = allowedAttributes[tagName] || [];
-    const globalAllowed = allowedAttributes['*'] || [];
-    return tagAllowed.includes(attrName) || globalAllowed.includes(attrName);
-  }
-
-  /**
-   * 遞迴清理 DOM 節點
-   * @param {Node} node - 要清理的節點
-   */
-  function cleanNode(node) {
-    // 取得所有子節點的快照（避免迭代時被修改）
-    const children = Array.from(node.childNodes);
-    
-    for (const child of children) {
-      if (child.nodeType === Node.ELEMENT_NODE) {
-        const tagName = child.tagName.toLowerCase();
-        
-        // 檢查是否為允許的標籤
-        if (!allowedTags.includes(tagName)) {
-          // 不允許的標籤：以其文字內容取代
-          const textNode = document.createTextNode(child.textContent || '');
-          node.replaceChild(textNode, child);
-        } else {
-          // 允許的標籤：檢查並移除危險屬性
-          const attrs = Array.from(child.attributes);
-          for (const attr of attrs) {
-            const attrName = attr.name.toLowerCase();
-            const attrValue = attr.value.toLowerCase();
-            
-            // 移除事件處理器
-            if (attrName.startsWith('on')) {
-              child.removeAttribute(attr.name);
-              continue;
-            }
-            
-            // 移除 javascript: 協定
-            if (
-              (attrName === 'href' || attrName === 'src') && 
-              attrValue.startsWith('javascript:')
-            ) {
-              child.removeAttribute(attr.name);
-              continue;
-            }
-
-            // 移除 data: 協定（可能用於 XSS）
-            if (
-              attrName === 'src' && 
-              attrValue.startsWith('data:') &&
-              !attrValue.startsWith('data:image/')
-            ) {
-              child.removeAttribute(attr.name);
-              continue;
-            }
-
-            // 檢查是否為允許的屬性
-            if (!isAttributeAllowed(tagName, attrName)) {
-              child.removeAttribute(attr.name);
-            }
-          }
-          // 遞迴處理子節點
-          cleanNode(child);
-        }
-      }
-    }
-  }
+/* =========================
+   將 messages 渲染到畫面（鍵值式增量渲染）
+   - 每則訊息以 id 對應一個 DOM 列，只新增、更新或移除有變動的列
+   - 泡泡內容依 id 快取，舊訊息不再重跑 Markdown 與 sanitizeHTML，頭像也不會重建
+   - 使用者訊息：純文字（使用 escapeHTML 防護）
+   - 機器人訊息：Markdown/HTML 格式（使用 processReplyContent 處理）
+   - 歷史很長時只在 DOM 中保留最後 RENDER_WINDOW 則，捲到頂端再分批往前載入
+   - ★ 每則訊息下方顯示時間，日期不同的訊息之間插入日期分隔線
+   ========================= */
+
+/** DOM 中保留的訊息數（停在底部時超過的舊訊息會被卸載） */
+const RENDER_WINDOW = 80;
+/** 捲到頂端時每次往前載入的訊息數 */
+const RENDER_PAGE = 40;
+/** 距離底部多少 px 內視為「停在底部」 */
+const STICK_TO_BOTTOM_PX = 120;
+/** 相對時間（「5 分鐘前」）與「今天 / 昨天」的刷新間隔 */
+const TIME_REFRESH_MS = 60 * 1000;
+
+/** @type {Map<string, {row:HTMLElement, bubble:HTMLElement, html:string, pendingEl:HTMLElement|null}>} id → 已渲染的訊息列 */
+const rowCache = new Map();
+/** @type {Map<string, {source:string, version:number, html:string}>} id → 處理後的泡泡 HTML（version：回覆處理流程的設定版本） */
+const htmlCache = new Map();
+/** @type {Map<string, HTMLElement>} 當天第一則訊息的 id → 日期分隔線 */
+const separatorCache = new Map();
+/** 目前 DOM 中第一則訊息在 messages 中的索引 */
+let renderStart = 0;
+/** 串流等頻繁更新時的重繪排程（每個畫面更新週期最多重繪一次） */
+let renderFrame = 0;
+
+/** 「載入較早的訊息」提示列（有被卸載的舊訊息時顯示在最上方） */
+const elHistoryMore = document.createElement("button");
+elHistoryMore.type = "button";
+elHistoryMore.className = "history-more";
+elHistoryMore.textContent = t("loadEarlier");
+elHistoryMore.addEventListener("click", () => loadEarlierMessages());
 
-  cleanNode(temp);
-  return temp.innerHTML;
+/**
+ * 訊息區是否停在底部附近
+ * @returns {boolean}
+ */
+function isNearBottom() {
+  if (!elMessages) return true;
+  return elMessages.scrollHeight - elMessages.scrollTop - elMessages.clientHeight < STICK_TO_BOTTOM_PX;
 }
 
 /**
- * 將純文字轉換為安全的 HTML（跳脫特殊字元）
- * 用於使用者輸入的訊息，防止 XSS
- * 
- * @param {string} text - 原始純文字
- * @returns {string} 跳脫後的安全字串
+ * 取得訊息泡泡的 HTML（依 id 快取，內容未變時直接沿用同一個物件）
+ * @param {{id:string, role:string, text:string, streaming?:boolean}} m - 訊息
+ * @returns {TrustedHTML|string} 泡泡 HTML
  */
-function escapeHTML(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+function getMessageHTML(m) {
+  // 串流中只渲染已完整的部分；歡迎訊息一律以目前語系顯示
+  const source = m.welcome ? t("welcome") : m.streaming ? stableStreamingText(m.text) : m.text;
+  const version = replyPipelineVersion();
+  const cached = htmlCache.get(m.id);
+  if (cached && cached.source === source && cached.version === version) return cached.html;
+
+  const html = m.role === "user" ? toTrustedHTML(escapeHTML(source)) : processReplyContent(source, { message: m });
+  htmlCache.set(m.id, { source, version, html });
+  return html;
 }
 
 /**
- * 處理機器人回覆內容
- * 自動偵測並轉換 Markdown 格式，最後進行安全清理
- * 
- * @param {string} text - 原始回覆文字
- * @returns {string} 處理後的安全 HTML 字串
+ * 建立一則訊息的 DOM 列（頭像 + 泡泡）
+ * @param {{id:string, role:string}} m - 訊息
+ * @returns {{row:HTMLElement, bubble:HTMLElement, html:string}}
  */
-function processReplyContent(text) {
-  if (!text || typeof text !== 'string') {
-    return '';
+function createMessageRow(m) {
+  const isUser = m.role === "user";
+
+  // 外層容器 - 一則訊息的整列
+  const row = document.createElement("div");
+  row.className = `msg ${isUser ? "user" : "bot"}`;
+  row.dataset.id = m.id;
+
+  // 頭像圖片
+  const avatar = document.createElement("img");
+  avatar.className = "avatar";
+  avatar.src = isUser
+    ? "https://raw.githubusercontent.com/justin-321-hub/standard_chartered_taipei_charity_marathon/refs/heads/main/assets/user.png"
+    : "https://raw.githubusercontent.com/justin-321-hub/standard_chartered_taipei_charity_marathon/refs/heads/main/assets/S__53714948.png";
+  avatar.alt = isUser ? "you" : "bot";
+
+  // 對話泡泡（外包一層 .msg-body，泡泡下方可放操作按鈕）
+  const body = document.createElement("div");
+  body.className = "msg-body";
+  const bubble = document.createElement("div");
+  bubble.className = "bubble";
+  body.appendChild(bubble);
+
+  // 錯誤泡泡：「重試」以原本的使用者訊息重新請求
+  if (m.retryOf) {
+    const actions = document.createElement("div");
+    actions.className = "msg-actions";
+    const btnRetry = document.createElement("button");
+    btnRetry.type = "button";
+    btnRetry.className = "btn btn-outline btn-sm";
+    btnRetry.textContent = t("retry");
+    btnRetry.addEventListener("click", () => retryReply(m.id));
+    actions.appendChild(btnRetry);
+    body.appendChild(actions);
   }
 
-  // ★ 新增：處理問號
-  // - 若 ? 在句末（後面是換行或結尾），直接移除
-  // - 若 ? 在句中（後面還有文字），移除 ? 並換行
-  let processed = removeQuestionMarks(text);
+  // ★ 訊息時間（文字於 patchMessageRow 更新）；朗讀按鈕也放在這一列
+  const metaEl = document.createElement("div");
+  metaEl.className = "msg-meta";
+  const timeEl = createTimeLabel();
+  metaEl.appendChild(timeEl);
+  body.appendChild(metaEl);
+
+  // 組合元素
+  row.appendChild(avatar);
+  row.appendChild(body);
+  return { row, bubble, metaEl, timeEl, html: null, pendingEl: null, richEl: null, startersEl: null, feedbackEl: null, readEl: null };
+}
 
-  // 進行 Markdown 轉換
-  let html = markdownToHTML(processed);
-  
-  // 再進行安全清理
-  html = sanitizeHTML(html);
-  
-  return html;
+/**
+ * 依訊息目前狀態更新泡泡（HTML 沒變就不碰 DOM）
+ * @param {{row:HTMLElement, bubble:HTMLElement, html:string}} entry - rowCache 中的項目
+ * @param {{id:string, role:string, text:string, streaming?:boolean}} m - 訊息
+ * @param {{latestReplyId?:string, started?:boolean}} [view] - latestReplyId：最新一則機器人訊息（只有它的快速回覆可點，等待回覆期間都不可點）；
+ *   started：對話是否已開始（開始後收起歡迎訊息的建議提問）
+ */
+function patchMessageRow(entry, m, { latestReplyId, started } = {}) {
+  const html = getMessageHTML(m);
+  if (entry.html !== html) {
+    entry.bubble.innerHTML = html;
+    entry.html = html;
+  }
+  entry.bubble.classList.toggle("streaming", !!m.streaming);
+  updateTimeLabel(entry.timeEl, m.ts);
+
+  // ★ 快速回覆、按鈕與卡片（串流回覆在結束時才會帶上）；只有結構化內容時不顯示空泡泡
+  entry.bubble.classList.toggle("hidden", !m.text && hasRichContent(m));
+  if (!entry.richEl && hasRichContent(m)) {
+    entry.richEl = renderRichContent(m, (payload) => sendText(payload));
+    entry.bubble.after(entry.richEl);
+  }
+  if (entry.richEl) setQuickRepliesEnabled(entry.richEl, m.id === latestReplyId && !inFlight);
+
+  // ★ 歡迎訊息下方的建議提問：對話開始後移除
+  const showStarters = m.welcome && !started;
+  if (showStarters && !entry.startersEl) {
+    entry.startersEl = renderStarterPanel((question) => pickStarter(question));
+    if (entry.startersEl) entry.bubble.after(entry.startersEl);
+  } else if (!showStarters && entry.startersEl) {
+    entry.startersEl.remove();
+    entry.startersEl = null;
+  }
+  // 等待回覆期間建議提問與輸入框一樣不可點
+  if (entry.startersEl) setQuickRepliesEnabled(entry.startersEl, !inFlight);
+
+  // ★ 朗讀：串流結束後才顯示
+  const readable = isReadAloudSupported() && m.role === "assistant" && !m.streaming && (!!m.text || m.welcome || hasRichContent(m));
+  if (readable && !entry.readEl) {
+    entry.readEl = document.createElement("button");
+    entry.readEl.type = "button";
+    entry.readEl.className = "read-aloud-btn";
+    entry.readEl.addEventListener("click", () => toggleReadAloud(m.id, () => messageSpeech(m), currentSpeechLang()));
+    entry.metaEl.appendChild(entry.readEl);
+  }
+  if (entry.readEl) updateReadAloudButton(entry.readEl, readAloudState(m.id));
+
+  // ★ 回覆評價：一般的機器人回覆（不含歡迎訊息、錯誤泡泡與串流中的回覆）
+  const rateable = RUNTIME.features.feedback && m.role === "assistant" && !m.welcome && !m.retryOf && !m.streaming;
+  if (rateable && !entry.feedbackEl) {
+    entry.feedbackEl = renderFeedbackControls((feedback, awaitingDetails) => rateReply(m.id, feedback, awaitingDetails));
+    entry.bubble.parentElement.appendChild(entry.feedbackEl);
+  }
+  if (entry.feedbackEl) updateFeedbackControls(entry.feedbackEl, m.feedback);
+
+  // 待送訊息：顯示狀態與「取消」
+  const pending = m.status === "pending";
+  entry.row.classList.toggle("pending", pending);
+  if (pending && !entry.pendingEl) {
+    const status = document.createElement("div");
+    status.className = "msg-status";
+    const label = document.createElement("span");
+    label.textContent = t("pendingStatus");
+    const btnCancel = document.createElement("button");
+    btnCancel.type = "button";
+    btnCancel.className = "link-btn";
+    btnCancel.textContent = t("cancel");
+    btnCancel.addEventListener("click", () => cancelPendingMessage(m.id));
+    status.append(label, btnCancel);
+    entry.bubble.after(status);
+    entry.pendingEl = status;
+  } else if (!pending && entry.pendingEl) {
+    entry.pendingEl.remove();
+    entry.pendingEl = null;
+  }
 }
 
 /**
- * ★ 移除問號功能
- * - 句末的 ?：直接移除
- * - 句中的 ?：移除並在該位置換行
- * 
- * @param {string} text - 原始文字
- * @returns {string} 處理後的文字
+ * 將 messages 同步到畫面
+ * @param {{keepWindow?:boolean}} [options] - keepWindow：維持目前的 renderStart（往前載入時使用）
  */
-function removeQuestionMarks(text) {
-  if (!text || typeof text !== 'string') {
-    return '';
+function render({ keepWindow = false } = {}) {
+  if (!elMessages) return;
+
+  if (renderFrame) {
+    cancelAnimationFrame(renderFrame);
+    renderFrame = 0;
+  }
+
+  // 停在底部時把視窗收回最後 RENDER_WINDOW 則
+  const stick = isNearBottom();
+  if ((stick && !keepWindow) || renderStart > messages.length) {
+    renderStart = Math.max(0, messages.length - RENDER_WINDOW);
+  }
+  const visible = messages.slice(renderStart);
+  const visibleIds = new Set(visible.map((m) => m.id));
+
+  // 移除已不在視窗內（或已刪除）的訊息列
+  for (const [id, entry] of rowCache) {
+    if (!visibleIds.has(id)) {
+      entry.row.remove();
+      rowCache.delete(id);
+    }
   }
 
-  // 處理邏輯：
-  // 1. 句末的 ?（後面是換行、空白+換行、或字串結尾）→ 直接移除
-  // 2. 句中的 ?（後面還有非空白字元）→ 移除 ? 並插入換行
+  // 清掉已刪除訊息的 HTML 快取
+  if (htmlCache.size > messages.length) {
+    const ids = new Set(messages.map((m) => m.id));
+    for (const id of htmlCache.keys()) {
+      if (!ids.has(id)) htmlCache.delete(id);
+    }
+  }
 
-  let result = text;
+  // 較早訊息提示列
+  if (renderStart > 0) {
+    if (elMessages.firstChild !== elHistoryMore) elMessages.insertBefore(elHistoryMore, elMessages.firstChild);
+  } else {
+    elHistoryMore.remove();
+  }
+
+  // 依序建立或更新訊息列（與日期分隔線），位置不對才搬動
+  let prev = renderStart > 0 ? elHistoryMore : null;
+  const place = (node) => {
+    const expected = prev ? prev.nextSibling : elMessages.firstChild;
+    if (expected !== node) elMessages.insertBefore(node, expected);
+    prev = node;
+  };
+  let prevDay = "";
+  const usedSeparators = new Set();
+  let newUserRow = false;
+  const view = {
+    latestReplyId: messages.findLast((m) => m.role === "assistant")?.id,
+    started: messages.some((m) => m.role === "user"),
+  };
+  for (const m of visible) {
+    let entry = rowCache.get(m.id);
+    if (!entry) {
+      entry = createMessageRow(m);
+      rowCache.set(m.id, entry);
+      if (m.role === "user") newUserRow = true;
+    }
+    patchMessageRow(entry, m, view);
+
+    // ★ 與上一則不同天：先放日期分隔線（以當天第一則訊息的 id 對應）
+    const day = dayKey(m.ts);
+    if (day !== prevDay) {
+      let separator = separatorCache.get(m.id);
+      if (!separator) {
+        separator = createDaySeparator();
+        separatorCache.set(m.id, separator);
+      }
+      updateDaySeparator(separator, m.ts);
+      usedSeparators.add(m.id);
+      place(separator);
+      prevDay = day;
+    }
 
-  // 先處理句末的 ?（後面是換行或結尾）
-  // 匹配 ? 後面接著可選的空白，然後是換行或結尾
-  result = result.replace(/\?[ \t]*(\n|$)/g, '$1');
+    place(entry.row);
+  }
 
-  // 再處理句中的 ?（後面還有內容）
-  // 匹配 ? 後面接著空白和非換行字元，移除 ? 並換行
-  result = result.replace(/\?[ \t]*/g, '\n');
+  // 移除不再需要的日期分隔線
+  for (const [id, separator] of separatorCache) {
+    if (!usedSeparators.has(id)) {
+      separator.remove();
+      separatorCache.delete(id);
+    }
+  }
 
-  // 清理多餘的連續換行（最多保留兩個）
-  result = result.replace(/\n{3,}/g, '\n\n');
+  // 使用者剛送出訊息，或原本就停在底部時，才滾動到最新訊息
+  if (stick || newUserRow) scrollToBottom();
 
-  return result;
+  // 有變動就排程寫入對話紀錄
+  scheduleSaveHistory();
 }
 
 /**
- * 切換「思考中」動畫與輸入狀態
- * @param {boolean} on - true 時顯示思考動畫並禁用輸入，false 時恢復
+ * 刷新畫面上的時間標籤與日期分隔線（相對時間會隨時間改變；不重繪訊息、不寫入紀錄）
  */
-function setThinking(on) {
-  if (!elThinking) return;
-  
-  if (on) {
-    // 顯示思考動畫，禁用輸入
-    elThinking.classList.remove("hidden");
-    if (elBtnSend) elBtnSend.disabled = true;
-    if (elInput) elInput.disabled = true;
-  } else {
-    // 隱藏思考動畫，恢復輸入
-    elThinking.classList.add("hidden");
-    if (elBtnSend) elBtnSend.disabled = false;
-    if (elInput) elInput.disabled = false;
-    // 解除禁用後讓輸入框自動聚焦
-    elInput?.focus();
+function refreshTimestamps() {
+  const now = Date.now();
+  for (const m of messages.slice(renderStart)) {
+    const entry = rowCache.get(m.id);
+    if (entry) updateTimeLabel(entry.timeEl, m.ts, now);
+    const separator = separatorCache.get(m.id);
+    if (separator) updateDaySeparator(separator, m.ts, now);
   }
 }
 
+/**
+ * 排程在下一個畫面更新週期重繪（串流片段等高頻更新使用）
+ */
+function scheduleRender() {
+  if (renderFrame) return;
+  renderFrame = requestAnimationFrame(() => {
+    renderFrame = 0;
+    render();
+  });
+}
+
+/**
+ * 往前多載入一批較早的訊息，並維持目前的閱讀位置
+ */
+function loadEarlierMessages() {
+  if (!elMessages || renderStart === 0) return;
+
+  const prevHeight = elMessages.scrollHeight;
+  const prevTop = elMessages.scrollTop;
+  renderStart = Math.max(0, renderStart - RENDER_PAGE);
+  render({ keepWindow: true });
+  elMessages.scrollTop = prevTop + (elMessages.scrollHeight - prevHeight);
+}
+
 /* =========================
-   將 messages 渲染到畫面
-   - 使用者訊息：純文字（使用 escapeHTML 防護）
-   - 機器人訊息：Markdown/HTML 格式（使用 processReplyContent 處理）
+   ★ 後端暖機（Render 免費方案閒置後會休眠）
+   - 頁面載入時先送一個輕量請求喚醒後端，並追蹤是否已就緒
+   - 請求以 no-cors 送出：只需知道「有沒有回應」，不受後端 CORS 設定影響
+   - 超過 coldAfterMs 仍無回應即判定為冷啟動，思考區改顯示「Sky 正在起床」
+   - 後端未就緒時，使用者的訊息先等待暖機完成，最多等到 giveUpMs 後照常送出
+   - 距離上次成功連線超過 BACKEND_IDLE_SLEEP_MS，視為可能再次休眠
    ========================= */
-function render() {
-  if (!elMessages) return;
-  
-  // 清空現有內容
-  elMessages.innerHTML = "";
-
-  for (const m of messages) {
-    const isUser = m.role === "user";
-
-    // 外層容器 - 一則訊息的整列
-    const row = document.createElement("div");
-    row.className = `msg ${isUser ? "user" : "bot"}`;
-
-    // 頭像圖片
-    const avatar = document.createElement("img");
-    avatar.className = "avatar";
-    avatar.src = isUser
-      ? "https://raw.githubusercontent.com/justin-321-hub/standard_chartered_taipei_charity_marathon/refs/heads/main/assets/user.png"
-      : "https://raw.githubusercontent.com/justin-321-hub/standard_chartered_taipei_charity_marathon/refs/heads/main/assets/S__53714948.png";
-    avatar.alt = isUser ? "you" : "bot";
-
-    // 對話泡泡
-    const bubble = document.createElement("div");
-    bubble.className = "bubble";
-
-    /**
-     * ★ 關鍵修改：根據訊息角色決定渲染方式
-     * - 使用者訊息：使用 escapeHTML 後以 innerHTML 設定（保持純文字安全）
-     * - 機器人訊息：使用 processReplyContent 處理 Markdown 並清理 HTML
-     */
-    if (isUser) {
-      // 使用者訊息：純文字渲染（安全跳脫）
-      bubble.innerHTML = escapeHTML(m.text);
-    } else {
-      // 機器人訊息：Markdown + HTML 格式渲染
-      bubble.innerHTML = processReplyContent(m.text);
+/** Render 閒置約 15 分鐘後休眠，保守抓 14 分鐘 */
+const BACKEND_IDLE_SLEEP_MS = 14 * 60 * 1000;
+
+/** @type {'unknown'|'waking'|'ready'|'unreachable'} 後端狀態 */
+let backendState = "unknown";
+/** 最後一次成功連上後端的時間 */
+let backendLastContact = 0;
+/** 進行中的暖機流程 */
+let warmupPromise = null;
+/** 是否有訊息正在等待暖機 */
+let waitingForBackend = false;
+
+/**
+ * 記錄後端已就緒（暖機成功或聊天請求有回應時呼叫）
+ */
+function markBackendReady() {
+  backendState = "ready";
+  backendLastContact = Date.now();
+  updateWakingIndicator();
+}
+
+/**
+ * 後端目前是否可視為就緒
+ * @returns {boolean}
+ */
+function isBackendReady() {
+  return backendState === "ready" && Date.now() - backendLastContact < BACKEND_IDLE_SLEEP_MS;
+}
+
+/**
+ * 有訊息在等待且後端正在冷啟動時，切換思考區為「起床中」樣式
+ */
+function updateWakingIndicator() {
+  const waking = waitingForBackend && backendState === "waking";
+  elThinking?.classList.toggle("waking", waking);
+  setThinkingText(waking ? t("waking") : undefined);
+}
+
+/**
+ * 開始暖機（已在進行或已就緒時不重複發送）
+ * @returns {Promise<void>} 就緒或放棄時 resolve
+ */
+function startWarmup() {
+  if (!RUNTIME.features.warmup) return Promise.resolve();
+  if (warmupPromise) return warmupPromise;
+  if (isBackendReady()) return Promise.resolve();
+
+  const startedAt = Date.now();
+  backendState = "unknown";
+  const coldTimer = setTimeout(() => {
+    backendState = "waking";
+    updateWakingIndicator();
+  }, WARMUP_CONFIG.coldAfterMs);
+
+  warmupPromise = (async () => {
+    while (Date.now() - startedAt < WARMUP_CONFIG.giveUpMs) {
+      const remaining = WARMUP_CONFIG.giveUpMs - (Date.now() - startedAt);
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), Math.min(WARMUP_CONFIG.attemptTimeoutMs, remaining));
+      try {
+        await fetch(api(WARMUP_CONFIG.path), { mode: "no-cors", cache: "no-store", signal: controller.signal });
+        clearTimeout(coldTimer);
+        markBackendReady();
+        return;
+      } catch {
+        // 尚未醒來（或網路錯誤），稍後再試
+      } finally {
+        clearTimeout(timer);
+      }
+      await sleep(Math.min(WARMUP_CONFIG.pollIntervalMs, Math.max(0, WARMUP_CONFIG.giveUpMs - (Date.now() - startedAt))));
     }
+    clearTimeout(coldTimer);
+    backendState = "unreachable";
+    updateWakingIndicator();
+  })().finally(() => {
+    warmupPromise = null;
+  });
 
-    // 組合元素
-    row.appendChild(avatar);
-    row.appendChild(bubble);
-    elMessages.appendChild(row);
-  }
+  return warmupPromise;
+}
 
-  // 滾動到最新訊息
-  scrollToBottom();
+/**
+ * 等待後端就緒（或暖機放棄）；signal 中止時立即結束
+ * @param {AbortSignal} signal - 中止訊號（使用者按「停止」）
+ * @returns {Promise<void>}
+ */
+async function waitForBackend(signal) {
+  if (!RUNTIME.features.warmup || isBackendReady()) return;
+
+  waitingForBackend = true;
+  updateWakingIndicator();
+  try {
+    await Promise.race([
+      startWarmup(),
+      new Promise((_, reject) => {
+        if (signal.aborted) reject(new DOMException("Aborted", "AbortError"));
+        signal.addEventListener("abort", () => reject(new DOMException("Aborted", "AbortError")), { once: true });
+      }),
+    ]);
+  } finally {
+    waitingForBackend = false;
+    updateWakingIndicator();
+  }
 }
 
 /* =========================
    呼叫後端 API 並處理回應
    - 入口：sendText(text?)
    - 若無 text 參數，則取 input 欄位的值
+   - ★ 實際請求由 requestReply 處理，錯誤泡泡的「重試」也走同一條路
    ========================= */
+
+/** 進行中的請求（同一時間只允許一個）：{ controller, stopped } */
+let inFlight = null;
+
+/**
+ * 送出使用者訊息
+ * @param {string} [text] - 要送出的文字；未提供時取輸入框內容
+ */
 async function sendText(text) {
   // 取得並清理輸入內容
   const content = (text ?? elInput?.value ?? "").trim();
   if (!content) return; // 空白內容不送出
+  if (inFlight) return; // 上一則還在等待回覆
+
+  // ★ 回覆一律寫回送出時的對話串（等待期間使用者可能切換到別的對話串）
+  const thread = activeThread();
 
   // 建立使用者訊息物件並加入陣列
   const userMsg = { 
@@ -702,120 +956,614 @@ async function sendText(text) {
     role: "user", 
     text: content, 
     ts: Date.now(),
-    isHtml: false  // 使用者訊息不使用 HTML 渲染
+    isHtml: false,  // 使用者訊息不使用 HTML 渲染
+    idempotencyKey: randomUUID()  // 重送時沿用，後端據此避免重複回答
   };
-  messages.push(userMsg);
+  thread.messages.push(userMsg);
+  touchThread(thread);
   
   // 清空輸入框
   if (elInput) elInput.value = "";
+
+  // ★ 離線時先放進待送區，恢復連線後自動送出
+  if (RUNTIME.features.outbox && !navigator.onLine) {
+    userMsg.status = "pending";
+    render();
+    return;
+  }
   
   // 立即渲染使用者訊息
   render();
 
-  // 顯示思考中動畫（等待回覆期間）
-  setThinking(true);
+  await requestReply(thread, userMsg);
+}
 
-  try {
-    // 呼叫後端 /api/chat
-    const res = await fetch(api("/api/chat"), {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "X-Client-Id": clientId,
-      },
-      body: JSON.stringify({ 
-        text: content, 
-        clientId, 
-        language: "繁體中文"
-      }),
-    });
+/**
+ * 重試失敗的回覆：移除錯誤泡泡，以同一則使用者訊息（同一個 idempotency key）重新請求
+ * @param {string} errorMsgId - 錯誤泡泡的訊息 id
+ */
+async function retryReply(errorMsgId) {
+  if (inFlight) return;
 
-    // 以文字讀取回應（避免直接 .json() 遇到空字串拋錯）
-    const raw = await res.text();
+  const thread = activeThread();
+  const errorMsg = thread.messages.find((m) => m.id === errorMsgId);
+  const userMsg = errorMsg && thread.messages.find((m) => m.id === errorMsg.retryOf);
+  if (!userMsg) return;
 
-    // 嘗試 JSON 解析
-    let data;
-    try {
-      data = raw ? JSON.parse(raw) : {};
-    } catch {
-      // JSON 解析失敗，保留原始字串供除錯
-      data = { errorRaw: raw };
-    }
+  thread.messages.splice(thread.messages.indexOf(errorMsg), 1);
+  render();
+  await requestReply(thread, userMsg);
+}
 
-    // HTTP 狀態非 2xx 時拋出錯誤
-    if (!res.ok) {
-      // 特別處理 502 / 404 錯誤
-      if (res.status === 502 || res.status === 404) {
-        throw new Error("The network is unstable, please try again.");
-      }
+/**
+ * 使用者按下「停止」：中止進行中的請求
+ */
+function stopReply() {
+  if (!inFlight) return;
+  inFlight.stopped = true;
+  inFlight.controller.abort();
+}
 
-      // 使用後端提供的錯誤訊息
-      const serverMsg =
-        (data && (data.error || data.body || data.message)) ?? raw ?? "unknown error";
-      throw new Error(`HTTP ${res.status} ${res.statusText} — ${serverMsg}`);
-    }
+/**
+ * 向後端請求 userMsg 的回覆，並把結果寫入 thread
+ * 
+ * @param {ChatThread} thread - 對話串
+ * @param {ChatMessage & {idempotencyKey?: string}} userMsg - 使用者訊息
+ */
+async function requestReply(thread, userMsg) {
+  const threadMessages = thread.messages;
+  // 回覆緊接在提問之後（補送待送訊息時，提問後面可能已有其他訊息）；
+  // 串流中斷時的錯誤泡泡則接在已收到的部分回覆之後
+  const insertReply = (msg) => {
+    replyMsg = msg;
+    const anchor = streamingMsg && threadMessages.includes(streamingMsg) ? streamingMsg : userMsg;
+    const at = threadMessages.indexOf(anchor);
+    threadMessages.splice(at < 0 ? threadMessages.length : at + 1, 0, msg);
+  };
+  // 舊紀錄的訊息沒有 idempotency key，重試時補上
+  if (!userMsg.idempotencyKey) userMsg.idempotencyKey = randomUUID();
+
+  const request = { controller: new AbortController(), stopped: false };
+  inFlight = request;
+
+  // 顯示思考中動畫（等待回覆期間）；重新渲染讓快速回覆與建議提問變為不可點
+  setThinking(true);
+  render();
 
-    /**
-     * 整理機器人要顯示的內容
-     * 規則：
-     * 1) 若 data 是字串，直接當回覆
-     * 2) 若 data 是物件，優先用 data.text 或 data.message
-     * 3) 若是空物件 {} → 顯示「網路不穩定，請再試一次」
-     * 4) 其他物件 → JSON 字串化後顯示（利於除錯）
-     */
-    let replyText;
-    if (typeof data === "string") {
-      replyText = data.trim() || "（空白回覆）";
-    } else if (data && (data.text || data.message)) {
-      replyText = String(data.text || data.message);
-    } else {
-      // data 不是字串，也沒有 text/message 欄位
-      const isPlainEmptyObject =
-        data &&
-        typeof data === "object" &&
-        !Array.isArray(data) &&
-        Object.keys(data).length === 0;
-
-      replyText = isPlainEmptyObject
-        ? "The network is unstable, please try again."
-        : JSON.stringify(data, null, 2);
+  // 串流中的機器人訊息（收到第一個片段時才建立）
+  let streamingMsg = null;
+  // 最後加入的回覆（自動朗讀用）
+  let replyMsg = null;
+
+  try {
+    // ★ 執行設定（API 網域等）載入完成後才能送出
+    await runtimeConfigReady;
+
+    // ★ 後端可能還在冷啟動：先等它醒來（或等到放棄門檻）再送
+    await waitForBackend(request.controller.signal);
+
+    // 呼叫後端 /api/chat（以 Accept 與 stream 旗標告知前端可接受串流）
+    // idempotency key 放在 body，避免自訂標頭觸發後端未允許的 CORS 預檢
+    const res = await fetchChat({
+      text: userMsg.text,
+      clientId,
+      language: LOCALES[getLocale()].apiLanguage,
+      conversationId: thread.conversationId,
+      idempotencyKey: userMsg.idempotencyKey,
+      stream: RUNTIME.features.streaming
+    }, request.controller.signal, (attempt) => {
+      setThinkingText(t("retrying", { attempt, max: REQUEST_CONFIG.maxRetries }));
+    });
+    setThinkingText();
+
+    // 後端有回應（非 5xx）即視為醒著
+    if (res.status < 500) markBackendReady();
+
+    // ★ 串流回應：泡泡隨片段逐步長大
+    const contentType = res.headers.get("Content-Type") || "";
+    if (res.ok && isStreamingResponse(contentType)) {
+      const { text: finalText, ...rich } = await readChatStream(res, contentType, (soFar) => {
+        if (!streamingMsg) {
+          // 第一個片段：收起思考動畫（輸入維持禁用直到串流結束）
+          streamingMsg = {
+            id: uid(),
+            role: "assistant",
+            text: soFar,
+            ts: Date.now(),
+            isHtml: true,
+            streaming: true,
+            replyTo: userMsg.id
+          };
+          insertReply(streamingMsg);
+          elThinking?.classList.add("hidden");
+          render();
+        } else {
+          streamingMsg.text = soFar;
+          scheduleRender();
+        }
+      });
+
+      // 串流結束但沒有任何內容，比照空物件 {} 處理（只有結構化內容時不補文字）
+      const replyText = (finalText.trim() || hasRichContent(rich)) ? finalText : t("networkUnstable");
+      if (streamingMsg) {
+        Object.assign(streamingMsg, { text: replyText }, rich);
+        delete streamingMsg.streaming;
+      } else {
+        insertReply({ id: uid(), role: "assistant", text: replyText, ts: Date.now(), isHtml: true, replyTo: userMsg.id, ...rich });
+      }
+      touchThread(thread);
+      return;
     }
 
-    // 建立機器人訊息物件
+    // 一次性回應：解析 JSON，非 2xx 時拋出錯誤
+    const { text: replyText, ...rich } = await parseChatResponse(res);
+
+    // 建立機器人訊息物件（★ 附上快速回覆、按鈕與卡片）
     const botMsg = { 
       id: uid(), 
       role: "assistant", 
       text: replyText, 
       ts: Date.now(),
-      isHtml: true  // 機器人訊息使用 HTML 渲染
+      isHtml: true,  // 機器人訊息使用 HTML 渲染
+      replyTo: userMsg.id,  // ★ 回覆評價時找出對應的提問
+      ...rich
     };
-    messages.push(botMsg);
-
-    // 關閉思考動畫並重新渲染
-    setThinking(false);
-    render();
+    insertReply(botMsg);
+    touchThread(thread);
 
   } catch (err) {
-    // 發生錯誤時關閉思考動畫
-    setThinking(false);
+    // 串流中途失敗或被停止：保留已收到的內容
+    if (streamingMsg) delete streamingMsg.streaming;
+
+    // 使用者停止且已有部分回覆時，不再另外顯示訊息
+    if (request.stopped && streamingMsg) return;
+
+    // ★ 因離線而失敗：改回待送，恢復連線後自動補送
+    if (RUNTIME.features.outbox && !request.stopped && !navigator.onLine && !streamingMsg) {
+      userMsg.status = "pending";
+      touchThread(thread);
+      return;
+    }
 
     // 組合友善的錯誤訊息
     const friendly =
-      // 離線狀態提示
-      (!navigator.onLine && "Currently offline. Please check your network connection and try again.") ||
+      // 使用者按下停止
+      (request.stopped && t("stopped")) ||
+      // 離線狀態提示（串流途中斷線，已保留部分回覆）
+      (!navigator.onLine && t("offline")) ||
       // 其他錯誤訊息
       `${err?.message || err}`;
 
-    // 建立錯誤訊息物件（也以 HTML 格式顯示）
+    // 建立錯誤訊息物件（也以 HTML 格式顯示），附上「重試」所需的原始訊息 id
     const botErr = {
       id: uid(),
       role: "assistant",
       text: friendly,
       ts: Date.now(),
-      isHtml: true
+      isHtml: true,
+      retryOf: userMsg.id
     };
-    messages.push(botErr);
+    insertReply(botErr);
+    touchThread(thread);
+
+  } finally {
+    // 關閉思考動畫並重新渲染
+    inFlight = null;
+    setThinkingText();
+    setThinking(false);
     render();
+    // ★ 自動朗讀：只念目前對話串的新回覆，使用者按下停止時不念
+    if (autoRead && replyMsg && !request.stopped && activeThread() === thread) {
+      startReadAloud(replyMsg.id, messageSpeech(replyMsg), currentSpeechLang());
+    }
+    // 等待期間累積的待送訊息接著送出
+    if (nextPendingMessage()) setTimeout(flushOutbox, 0);
+  }
+}
+
+/* =========================
+   ★ 離線待送區（outbox）
+   - 離線時送出的訊息標記為 status: "pending"，泡泡顯示「尚未送出」與「取消」
+   - 請求途中斷線（離線導致失敗）也改為待送，不顯示錯誤泡泡
+   - 恢復連線（online 事件）或重新載入後，依送出時間順序逐則補送
+   - 待送狀態存在訊息本身，隨對話紀錄一起永續化
+   ========================= */
+
+/** 是否正在補送 */
+let outboxFlushing = false;
+
+/**
+ * 取得最早的一則待送訊息與其所屬對話串
+ * @returns {{thread: ChatThread, message: ChatMessage}|null}
+ */
+function nextPendingMessage() {
+  let found = null;
+  for (const thread of threads) {
+    for (const message of thread.messages) {
+      if (message.status === "pending" && (!found || message.ts < found.message.ts)) {
+        found = { thread, message };
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * 依序補送所有待送訊息；再次離線時停止，等下一次 online 事件
+ */
+async function flushOutbox() {
+  if (outboxFlushing || inFlight || !navigator.onLine) return;
+
+  outboxFlushing = true;
+  try {
+    let next;
+    while (navigator.onLine && !inFlight && (next = nextPendingMessage())) {
+      delete next.message.status;
+      render();
+      await requestReply(next.thread, next.message);
+      // 補送途中又斷線：requestReply 會把訊息標回待送
+      if (next.message.status === "pending") break;
+    }
+  } finally {
+    outboxFlushing = false;
+  }
+}
+
+/**
+ * 取消一則待送訊息（直接從對話串移除）
+ * @param {string} id - 訊息 id
+ */
+function cancelPendingMessage(id) {
+  for (const thread of threads) {
+    const index = thread.messages.findIndex((m) => m.id === id && m.status === "pending");
+    if (index >= 0) {
+      thread.messages.splice(index, 1);
+      touchThread(thread);
+      render();
+      return;
+    }
+  }
+}
+
+/* =========================
+   ★ 建議提問
+   - 對話尚未開始時顯示在歡迎訊息下方（見 patchMessageRow）
+   - 「話題」按鈕隨時開關同一組問題的面板；點選問題即送出並關閉面板
+   ========================= */
+
+/**
+ * 開關「話題」面板
+ * @param {boolean} [open] - 未指定時切換
+ */
+function toggleTopics(open = elStartersPopover?.classList.contains("hidden")) {
+  if (!elStartersPopover) return;
+  if (open) {
+    const title = document.createElement("div");
+    title.className = "starters-popover-title";
+    title.textContent = t("topicsTitle");
+    const panel = renderStarterPanel((question) => pickStarter(question));
+    if (panel) setQuickRepliesEnabled(panel, !inFlight);
+    elStartersPopover.replaceChildren(title, ...(panel ? [panel] : []));
+  }
+  elStartersPopover.classList.toggle("hidden", !open);
+  elBtnTopics?.setAttribute("aria-expanded", String(open));
+}
+
+/**
+ * 點選建議提問：關閉面板並送出
+ * @param {string} question - 問題文字（目前語系）
+ */
+function pickStarter(question) {
+  toggleTopics(false);
+  sendText(question);
+}
+
+/**
+ * 沒有任何建議提問時隱藏「話題」按鈕
+ */
+function updateTopicsButton() {
+  elBtnTopics?.classList.toggle("hidden", !starterTopics().length);
+}
+
+/* =========================
+   ★ 回覆評價（格式與重送規則見 js/feedback.js）
+   - 評價存在訊息本身（m.feedback），隨對話紀錄永續化；可改評價，後端以 messageId 取最新一筆
+   - 送出前先放進待送佇列，離線或失敗時於恢復連線、下次載入時補送
+   ========================= */
+
+/**
+ * 找出回覆所對應的提問：優先用 replyTo，舊紀錄則取前一則使用者訊息
+ * @param {ChatMessage[]} list - 訊息所在的對話串訊息
+ * @param {ChatMessage} reply - 機器人訊息
+ * @returns {string}
+ */
+function findQuestionText(list, reply) {
+  if (reply.replyTo) {
+    const question = list.find((m) => m.id === reply.replyTo);
+    if (question) return question.text;
+  }
+  const before = list.slice(0, list.indexOf(reply));
+  return before.findLast((m) => m.role === "user")?.text || "";
+}
+
+/**
+ * 記錄並送出回覆評價
+ * @param {string} id - 機器人訊息 id
+ * @param {{rating:"up"|"down", reason?:string, comment?:string}} feedback
+ * @param {boolean} [awaitingDetails] - 倒讚的原因還沒填：先記錄，等送出或略過後再送
+ */
+function rateReply(id, { rating, reason, comment }, awaitingDetails = false) {
+  const thread = threads.find((item) => item.messages.some((m) => m.id === id));
+  const reply = thread?.messages.find((m) => m.id === id);
+  if (!reply) return;
+
+  reply.feedback = { rating, ts: Date.now() };
+  if (reason) reply.feedback.reason = reason;
+  if (comment) reply.feedback.comment = comment;
+
+  enqueueFeedback({
+    clientId,
+    messageId: reply.id,
+    conversationId: thread.conversationId,
+    rating,
+    reason: reason || "",
+    comment: comment || "",
+    question: findQuestionText(thread.messages, reply),
+    answer: reply.text,
+    language: LOCALES[getLocale()].apiLanguage,
+    ts: reply.feedback.ts,
+  }, { awaitingDetails });
+  // 評價不算對話活動：不呼叫 touchThread，對話串順序不變
+  render();
+  runtimeConfigReady.then(flushFeedbackQueue);
+}
+
+/* =========================
+   ★ 匯出與分享（格式見 js/export.js）
+   - 匯出目前的對話串；機器人回覆沿用 getMessageHTML（同一個處理流程與快取）
+   - 分享以純文字送出，方便貼到通訊軟體群組
+   ========================= */
+
+/**
+ * 開關匯出選單
+ * @param {boolean} [open] - 未指定時切換
+ */
+function toggleExportMenu(open = elExportMenu?.classList.contains("hidden")) {
+  if (!elExportMenu) return;
+  elExportMenu.classList.toggle("hidden", !open);
+  elBtnExport?.setAttribute("aria-expanded", String(open));
+}
+
+/**
+ * 目前對話串的匯出檔
+ * @param {string} format - EXPORT_FORMATS 的鍵
+ * @returns {import("./js/export.js").ExportFile}
+ */
+function buildConversationExport(format) {
+  const thread = activeThread();
+  return buildExport(format, {
+    title: threadTitle(thread),
+    conversationId: thread.conversationId,
+    messages: thread.messages,
+  }, (m) => getMessageHTML(m));
+}
+
+/**
+ * 下載目前的對話
+ * @param {string} format - EXPORT_FORMATS 的鍵
+ */
+function exportConversation(format) {
+  toggleExportMenu(false);
+  downloadExport(buildConversationExport(format));
+}
+
+/**
+ * 分享目前的對話；分享失敗（非使用者取消）時改為下載純文字檔
+ */
+async function shareConversation() {
+  toggleExportMenu(false);
+  const file = buildConversationExport("text");
+  try {
+    await shareExport(threadTitle(activeThread()), file.content);
+  } catch (err) {
+    // 使用者關閉分享面板：不算失敗，也不改為下載
+    if (err?.name === "AbortError") return;
+    // 其他錯誤（例如瀏覽器拒絕分享這段內容）：改為下載
+    downloadExport(file);
+  }
+}
+
+/* =========================
+   ★ 列印（版面見 styles.css 的 @media print）
+   - 列印前填入頁首的對話名稱與列印時間
+   - 長對話只有最後一段在 DOM 中：列印前展開全部，列印後收回
+   - 瀏覽器選單或 Ctrl+P 列印同樣透過 beforeprint / afterprint 處理
+   ========================= */
+
+/** 列印前的 renderStart（列印後還原；null 代表不需還原） */
+let printRestoreStart = null;
+
+/**
+ * 列印前：填入頁首並展開完整對話
+ */
+function preparePrint() {
+  const printThread = document.getElementById("printThread");
+  const printTime = document.getElementById("printTime");
+  if (printThread) printThread.textContent = threadTitle(activeThread());
+  if (printTime) {
+    const time = new Date().toLocaleString(getLocale(), { dateStyle: "medium", timeStyle: "short" });
+    printTime.textContent = t("printedAt", { time });
+  }
+
+  if (renderStart > 0) {
+    printRestoreStart = renderStart;
+    renderStart = 0;
+    render({ keepWindow: true });
+  }
+}
+
+/**
+ * 列印後：收回展開的訊息
+ */
+function finishPrint() {
+  if (printRestoreStart === null) return;
+  renderStart = Math.min(printRestoreStart, messages.length);
+  printRestoreStart = null;
+  render({ keepWindow: true });
+}
+
+/* =========================
+   ★ 語音輸入（辨識流程見 js/voice-input.js）
+   - 麥克風按鈕開始 / 結束收音；辨識中的文字接在輸入框原有內容之後即時顯示
+   - 辨識結束且有結果時以 sendText 送出；沒有結果時還原輸入框
+   - 瀏覽器不支援時按鈕維持隱藏；權限被拒等錯誤顯示在狀態列
+   - 切換語系或按 Esc 會放棄這次辨識
+   ========================= */
+
+/** 辨識中的工作階段（startVoiceInput 的結果） */
+let voiceSession = null;
+/** 開始收音前輸入框的內容 */
+let voiceBaseText = "";
+/** 狀態列自動隱藏的計時器 */
+let voiceStatusTimer = 0;
+/** 錯誤訊息顯示多久 */
+const VOICE_ERROR_SHOW_MS = 5000;
+
+/**
+ * 顯示語音輸入狀態（錯誤訊息數秒後自動隱藏）
+ * @param {string} [text] - 空值時隱藏
+ * @param {boolean} [isError]
+ */
+function setVoiceStatus(text = "", isError = false) {
+  if (!elVoiceStatus) return;
+  clearTimeout(voiceStatusTimer);
+  elVoiceStatus.textContent = text;
+  elVoiceStatus.classList.toggle("error", isError);
+  elVoiceStatus.classList.toggle("hidden", !text);
+  if (text && isError) voiceStatusTimer = setTimeout(() => setVoiceStatus(), VOICE_ERROR_SHOW_MS);
+}
+
+/**
+ * 依是否正在收音更新麥克風按鈕
+ */
+function updateVoiceButton() {
+  if (!elBtnVoice) return;
+  const listening = !!voiceSession;
+  const label = t(listening ? "voiceStop" : "voiceStart");
+  elBtnVoice.classList.toggle("listening", listening);
+  elBtnVoice.setAttribute("aria-pressed", String(listening));
+  elBtnVoice.title = label;
+  elBtnVoice.setAttribute("aria-label", label);
+}
+
+/**
+ * 開始收音；收音中再按一次則結束並送出
+ */
+function toggleVoiceInput() {
+  if (voiceSession) {
+    voiceSession.stop();
+    return;
+  }
+  if (!elInput || elInput.disabled || inFlight) return;
+
+  const lang = LOCALES[getLocale()].speechLang;
+  // 中日文不以空白分隔
+  const separator = /^(?:zh|ja)\b/i.test(lang) ? "" : " ";
+  const withBase = (spoken) => [voiceBaseText, spoken].filter(Boolean).join(separator);
+  voiceBaseText = elInput.value.trim();
+
+  // 朗讀的聲音會被麥克風收進去
+  stopReadAloud();
+  setVoiceStatus(t("voiceListening"));
+  // 無法開始時 startVoiceInput 回傳 null（onEnd 已經呼叫過），按鈕維持未聆聽
+  voiceSession = startVoiceInput({
+    lang,
+    onInterim: (text) => {
+      elInput.value = withBase(text);
+    },
+    onError: (key) => setVoiceStatus(t(key), true),
+    onEnd: (finalText) => {
+      voiceSession = null;
+      updateVoiceButton();
+      if (!elVoiceStatus?.classList.contains("error")) setVoiceStatus();
+      if (finalText) {
+        sendText(withBase(finalText));
+      } else {
+        elInput.value = voiceBaseText;
+      }
+    },
+  });
+  updateVoiceButton();
+}
+
+/**
+ * 放棄進行中的辨識（不送出）
+ */
+function cancelVoiceInput() {
+  voiceSession?.abort();
+}
+
+/* =========================
+   ★ 朗讀（文字轉換與播放控制見 js/read-aloud.js）
+   - 每則機器人回覆的時間旁有播放 / 暫停按鈕；同一時間只朗讀一則
+   - 「自動朗讀新回覆」開關存在 localStorage，回覆完成後自動朗讀
+   - 切換對話串、語系、清除對話或開始語音輸入時停止朗讀
+   ========================= */
+const AUTO_READ_KEY = "fourleaf_auto_read";
+
+/** 是否自動朗讀新回覆 */
+let autoRead = localStorage.getItem(AUTO_READ_KEY) === "1";
+
+/**
+ * 目前語系的朗讀語言
+ * @returns {string}
+ */
+function currentSpeechLang() {
+  return LOCALES[getLocale()].speechLang;
+}
+
+/**
+ * 訊息的朗讀句子（內文沿用畫面上的 HTML，後接快速回覆、按鈕與卡片）
+ * @param {ChatMessage} m
+ * @returns {string[]}
+ */
+function messageSpeech(m) {
+  return [...replyToSpeech(getMessageHTML(m)), ...richToSpeech(m)];
+}
+
+/**
+ * 依朗讀狀態更新按鈕
+ * @param {HTMLButtonElement} btn
+ * @param {"idle"|"playing"|"paused"} state
+ */
+function updateReadAloudButton(btn, state) {
+  const label = t({ idle: "readAloud", playing: "pauseReading", paused: "resumeReading" }[state]);
+  btn.textContent = state === "playing" ? "⏸" : state === "paused" ? "▶" : "🔊";
+  btn.title = label;
+  btn.setAttribute("aria-label", label);
+  btn.classList.toggle("active", state !== "idle");
+}
+
+/**
+ * 朗讀狀態變動時更新畫面上所有朗讀按鈕
+ */
+function updateReadAloudButtons() {
+  for (const [id, entry] of rowCache) {
+    if (entry.readEl) updateReadAloudButton(entry.readEl, readAloudState(id));
+  }
+}
+
+/**
+ * 切換「自動朗讀新回覆」
+ * @param {boolean} [on] - 未指定時切換
+ */
+function setAutoRead(on = !autoRead) {
+  autoRead = on;
+  localStorage.setItem(AUTO_READ_KEY, on ? "1" : "0");
+  if (!on) stopReadAloud();
+  if (elBtnAutoRead) {
+    elBtnAutoRead.textContent = on ? "🔊" : "🔈";
+    elBtnAutoRead.setAttribute("aria-pressed", String(on));
   }
 }
 
@@ -826,6 +1574,23 @@ async function sendText(text) {
 // 點擊送出按鈕
 elBtnSend?.addEventListener("click", () => sendText());
 
+// ★ 語音輸入：瀏覽器支援時才顯示麥克風按鈕
+if (isVoiceInputSupported()) {
+  elBtnVoice?.classList.remove("hidden");
+  elBtnVoice?.addEventListener("click", () => toggleVoiceInput());
+}
+
+// ★ 朗讀：瀏覽器支援時才顯示自動朗讀開關
+onReadAloudChange(() => updateReadAloudButtons());
+if (isReadAloudSupported()) {
+  elBtnAutoRead?.classList.remove("hidden");
+  elBtnAutoRead?.addEventListener("click", () => setAutoRead());
+  setAutoRead(autoRead);
+}
+
+// 點擊停止按鈕：中止等待中的回覆
+elBtnStop?.addEventListener("click", () => stopReply());
+
 // 鍵盤事件：Enter 送出（Shift+Enter 換行）
 elInput?.addEventListener("keydown", (e) => {
   if (e.key === "Enter" && !e.shiftKey) {
@@ -834,20 +1599,171 @@ elInput?.addEventListener("keydown", (e) => {
   }
 });
 
+// 「話題」面板與匯出選單：按鈕開關，Esc 或點面板外關閉
+elBtnTopics?.addEventListener("click", () => toggleTopics());
+document.addEventListener("keydown", (e) => {
+  if (e.key !== "Escape") return;
+  if (voiceSession) cancelVoiceInput();
+  if (!elStartersPopover?.classList.contains("hidden")) toggleTopics(false);
+  if (!elExportMenu?.classList.contains("hidden")) toggleExportMenu(false);
+});
+document.addEventListener("click", (e) => {
+  if (elStartersPopover && !elStartersPopover.classList.contains("hidden") &&
+      !elStartersPopover.contains(e.target) && !elBtnTopics?.contains(e.target)) toggleTopics(false);
+  if (elExportMenu && !elExportMenu.classList.contains("hidden") &&
+      !elExportMenu.contains(e.target) && !elBtnExport?.contains(e.target)) toggleExportMenu(false);
+});
+
+// 匯出選單：各格式按鈕以 data-export 指定格式
+elBtnExport?.addEventListener("click", () => toggleExportMenu());
+elExportMenu?.querySelectorAll("[data-export]").forEach((btn) => {
+  btn.addEventListener("click", () => exportConversation(btn.dataset.export));
+});
+elBtnShare?.classList.toggle("hidden", !canShare());
+elBtnShare?.addEventListener("click", () => shareConversation());
+elBtnPrint?.addEventListener("click", () => {
+  toggleExportMenu(false);
+  window.print();
+});
+
+// 列印前後展開 / 收回對話
+window.addEventListener("beforeprint", () => preparePrint());
+window.addEventListener("afterprint", () => finishPrint());
+
+// 捲到訊息區頂端時往前載入較早的訊息
+elMessages?.addEventListener("scroll", () => {
+  if (elMessages.scrollTop < 40) loadEarlierMessages();
+}, { passive: true });
+
+// 恢復連線：補送待送區的訊息與回覆評價
+window.addEventListener("online", () => {
+  flushOutbox();
+  flushFeedbackQueue();
+});
+
+// 回到頁面時，若後端可能已休眠則重新暖機；時間標籤可能已過期，順便刷新
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState !== "visible") return;
+  if (!isBackendReady()) runtimeConfigReady.then(startWarmup);
+  refreshTimestamps();
+});
+
+// 定期刷新相對時間（頁面在背景時略過）
+setInterval(() => {
+  if (document.visibilityState === "visible") refreshTimestamps();
+}, TIME_REFRESH_MS);
+
 // 頁面載入完成後讓輸入框聚焦
 window.addEventListener("load", () => elInput?.focus());
 
 /* =========================
-   初始化歡迎訊息（移除語音提示）
+   初始化：還原對話紀錄，沒有紀錄時顯示歡迎訊息（移除語音提示）
    ========================= */
-messages.push({
-  id: uid(),
-  role: "assistant",
-  text:
-    "Hi, I’m Sky. I enjoy running, am passionate about public welfare, and always full of positive energy. I’m familiar with every aspect of races and hope to use my expertise to meet your needs.\nIf you have any questions about the Standard Chartered Taipei Charity Marathon, feel free to ask me!",
-  ts: Date.now(),
-});
-render();
 
+/**
+ * 建立歡迎訊息（welcome 標記讓切換語系時跟著翻譯）
+ * @returns {{id:string, role:'assistant', text:string, ts:number, welcome:true}}
+ */
+function createWelcomeMessage() {
+  return {
+    id: uid(),
+    role: "assistant",
+    text: t("welcome"),
+    ts: Date.now(),
+    welcome: true,
+  };
+}
+
+/**
+ * 切換介面語系：更新靜態文字、重建訊息列與對話串清單
+ * @param {string} next - LOCALES 的鍵
+ */
+function applyLocale(next) {
+  if (!setLocale(next)) return;
+  cancelVoiceInput();
+  stopReadAloud();
+  translatePage();
+
+  // 按鈕與狀態文字在建立訊息列時寫入，直接整批重建
+  for (const entry of rowCache.values()) entry.row.remove();
+  rowCache.clear();
+  elHistoryMore.textContent = t("loadEarlier");
+  if (!elStartersPopover?.classList.contains("hidden")) toggleTopics(true);
+  updateWakingIndicator();
+  renderEnvBadge();
+  render({ keepWindow: true });
+  renderThreadList();
+}
+
+/**
+ * 清除目前對話串的內容，回到只有歡迎訊息的狀態
+ * （同時換一個 conversationId，後端不再沿用先前的脈絡）
+ */
+function clearConversation() {
+  if (!window.confirm(t("clearConfirm"))) return;
+
+  stopReadAloud();
+  const thread = activeThread();
+  thread.messages.length = 0;
+  thread.messages.push(createWelcomeMessage());
+  thread.conversationId = randomUUID();
+  thread.title = "";
+  touchThread(thread);
+  render();
+  elInput?.focus();
+}
+
+// 點擊清除對話
+elBtnClear?.addEventListener("click", () => clearConversation());
+
+// ★ 語系：套用目前語系並建立選單
+translatePage();
+setThinkingText();
+if (elSelLanguage) {
+  elSelLanguage.replaceChildren(
+    ...Object.entries(LOCALES).map(([value, { label }]) => new Option(label, value, false, value === getLocale()))
+  );
+  elSelLanguage.addEventListener("change", () => applyLocale(elSelLanguage.value));
+}
+
+// 對話串：新增、側欄開合
+elBtnNewThread?.addEventListener("click", () => createThread());
+elBtnThreads?.addEventListener("click", () => toggleSidebar());
+elSidebarBackdrop?.addEventListener("click", () => closeSidebarDrawer());
+if (localStorage.getItem(SIDEBAR_COLLAPSED_KEY) === "1") {
+  document.body.classList.add("sidebar-collapsed");
+}
+elBtnThreads?.setAttribute("aria-expanded", String(isSidebarOpen()));
+
+// ★ 載入執行設定；完成後盡早喚醒後端，使用者打字的同時完成冷啟動
+const runtimeConfigReady = loadRuntimeConfig().then(() => {
+  renderEnvBadge();
+  updateTopicsButton();
+  startWarmup();
+});
 
+// 先建立暫時的對話串，讓還原完成前送出的訊息也有地方放
+threads = [createThreadObject()];
+activeThreadId = threads[0].id;
+messages = threads[0].messages;
+
+(async () => {
+  // 回覆的標點規則依環境設定，等設定載入後再渲染還原的訊息
+  const [stored] = await Promise.all([loadHistory(clientId), runtimeConfigReady]);
+  const pending = threads[0];
+  const hasPending = pending.messages.some((m) => m.role === "user");
+
+  if (stored.threads.length) {
+    // 還原期間已送出訊息時，保留暫時的對話串並放在最前面
+    threads = hasPending ? [pending, ...stored.threads] : stored.threads;
+    const restoredActive = stored.threads.find((t) => t.id === stored.activeThreadId) || sortedThreads()[0];
+    switchThread(hasPending ? pending.id : restoredActive.id);
+  } else {
+    renderThreadList();
+    render();
+  }
 
+  // 上次離開前未送出的訊息與回覆評價
+  flushOutbox();
+  flushFeedbackQueue();
+})();
@@ -0,0 +1,370 @@
+/**
+ * /api/chat 用戶端：送出請求（逾時、重試）、讀取串流與一次性回應
+ * 網域與逾時設定來自 config.js；錯誤訊息依目前語系（i18n.js）
+ */
+
+import { REQUEST_CONFIG, RUNTIME, api } from "./config.js";
+import { t } from "./i18n.js";
+import { sleep } from "./util.js";
+import { normalizeRichContent } from "./rich-content.js";
+
+/**
+ * 一則回覆：文字與結構化內容（格式見 rich-content.js）
+ * @typedef {{text:string, quickReplies?:object[], buttons?:object[], cards?:object[]}} ChatReply
+ */
+
+/** 視為暫時性錯誤、可自動重試的 HTTP 狀態 */
+export const RETRY_STATUSES = [502, 503, 504];
+
+/* =========================
+   ★ 回應內容逾時
+   - fetchChat 回傳時逾時計時器仍在計時：收到標頭後重新計時，
+     讀取回應內容（一次性 JSON 或串流）期間超過 timeoutMs 沒有收到資料即中止
+   - 串流每收到一段資料重新計時；讀完或失敗後由 readChatStream / parseChatResponse 解除
+   ========================= */
+
+/** @type {WeakMap<Response, {touch: () => void, release: () => void, timedOut: () => boolean}>} 回應 → 計時器 */
+const bodyWatchdogs = new WeakMap();
+
+/**
+ * 讀取回應內容失敗時的錯誤：因逾時中止則改為逾時訊息
+ * @param {{timedOut: () => boolean}|undefined} watchdog - 回應的計時器
+ * @param {*} err - 原始錯誤
+ * @returns {*}
+ */
+function bodyReadError(watchdog, err) {
+  return watchdog?.timedOut() ? new Error(t("timeout")) : err;
+}
+
+/* =========================
+   ★ 串流回覆
+   - 後端可回傳 text/event-stream（SSE）或 application/x-ndjson
+   - 每個事件可為純文字，或以下 JSON：
+     { delta | token | content: "片段" }  → 接在目前內容之後
+     { text | message: "完整內容" }        → 取代目前內容
+     { error: "訊息" }                     → 中止並顯示錯誤
+     { done: true } 或 SSE 的 [DONE]        → 結束
+     ★ 任一個 JSON 事件都可帶 quickReplies / buttons / cards（通常放在 done 事件）
+   - 其他 Content-Type 一律走原本的一次性解析
+   ========================= */
+
+/**
+ * 判斷回應是否為串流格式
+ * @param {string} contentType - 回應的 Content-Type
+ * @returns {boolean}
+ */
+export function isStreamingResponse(contentType) {
+  return /text\/event-stream|application\/(x-)?ndjson|application\/jsonl/i.test(contentType || "");
+}
+
+/**
+ * 將一個串流事件套用到目前累積的文字
+ * @param {string} acc - 目前累積的回覆文字
+ * @param {*} payload - 事件內容（字串或已解析的 JSON）
+ * @returns {string} 更新後的回覆文字
+ */
+export function applyStreamChunk(acc, payload) {
+  if (typeof payload === "string") return acc + payload;
+  if (!payload || typeof payload !== "object") return acc;
+
+  if (payload.error) {
+    throw new Error(String(payload.error));
+  }
+
+  const delta = payload.delta ?? payload.token ?? payload.content;
+  if (typeof delta === "string") return acc + delta;
+
+  const snapshot = payload.text ?? payload.message;
+  if (typeof snapshot === "string") return snapshot;
+
+  return acc;
+}
+
+/**
+ * 讀取串流回應，每收到新內容就呼叫 onUpdate
+ * 
+ * @param {Response} res - fetch 回應
+ * @param {string} contentType - 回應的 Content-Type
+ * @param {(text: string) => void} onUpdate - 收到新內容時的回呼（參數為目前累積的完整文字）
+ * @returns {Promise<ChatReply>} 最終回覆文字與結構化內容
+ */
+export async function readChatStream(res, contentType, onUpdate) {
+  const watchdog = bodyWatchdogs.get(res);
+  const isSSE = /text\/event-stream/i.test(contentType);
+  let acc = "";
+  let done = false;
+  // 結構化內容：後出現的同名欄位覆蓋先前的
+  const rich = {};
+
+  /**
+   * 解析一段 JSON，失敗時以原始字串處理
+   * @param {string} raw - 事件資料
+   * @returns {*}
+   */
+  const parsePayload = (raw) => {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return raw;
+    }
+  };
+
+  /**
+   * 處理一個完整的 SSE 事件或 NDJSON 行
+   * @param {string} block - 事件原文
+   */
+  const handle = (block) => {
+    let payload;
+    if (isSSE) {
+      // 只取 data: 欄位，多行 data 以換行串接；event: error 視為錯誤
+      const dataLines = [];
+      let eventName = "message";
+      for (const line of block.split(/\r?\n/)) {
+        if (line.startsWith("data:")) dataLines.push(line.slice(5).replace(/^ /, ""));
+        else if (line.startsWith("event:")) eventName = line.slice(6).trim();
+      }
+      if (!dataLines.length) return;
+      const data = dataLines.join("\n");
+      if (data === "[DONE]" || eventName === "done") {
+        done = true;
+        return;
+      }
+      payload = parsePayload(data);
+      if (eventName === "error") {
+        payload = { error: (payload && payload.error) || payload };
+      }
+    } else {
+      if (!block.trim()) return;
+      payload = parsePayload(block);
+    }
+
+    if (payload && typeof payload === "object") {
+      if (payload.done) done = true;
+      Object.assign(rich, normalizeRichContent(payload));
+    }
+    const next = applyStreamChunk(acc, payload);
+    if (next !== acc) {
+      acc = next;
+      onUpdate(acc);
+    }
+  };
+
+  try {
+    // 不支援 ReadableStream 的環境：一次讀完再逐段處理
+    if (!res.body || !res.body.getReader) {
+      const raw = await res.text();
+      for (const block of raw.split(isSSE ? /\r?\n\r?\n/ : /\r?\n/)) {
+        if (done) break;
+        handle(block);
+      }
+      return { text: acc, ...rich };
+    }
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    const separator = isSSE ? /\r?\n\r?\n/ : /\r?\n/;
+    let buffer = "";
+
+    try {
+      while (!done) {
+        const { value, done: streamEnd } = await reader.read();
+        watchdog?.touch();
+        buffer += decoder.decode(value || new Uint8Array(), { stream: !streamEnd });
+
+        // 只處理已完整收到的事件，最後一段留待下次
+        const parts = buffer.split(separator);
+        buffer = parts.pop();
+        for (const part of parts) {
+          handle(part);
+          if (done) break;
+        }
+
+        if (streamEnd) {
+          if (!done && buffer) handle(buffer);
+          break;
+        }
+      }
+    } catch (err) {
+      // 錯誤事件、讀取失敗或逾時：先關閉連線再拋出
+      reader.cancel().catch(() => {});
+      throw err;
+    }
+
+    if (done) reader.cancel().catch(() => {});
+    return { text: acc, ...rich };
+  } catch (err) {
+    throw bodyReadError(watchdog, err);
+  } finally {
+    watchdog?.release();
+  }
+}
+
+/* =========================
+   ★ 請求與重試
+   ========================= */
+
+/**
+ * 計算第 attempt 次重試前的等待時間（指數退避 + 隨機抖動）
+ * 回應帶有 Retry-After（秒）時優先採用
+ * 
+ * @param {number} attempt - 第幾次重試（從 0 起算）
+ * @param {Response} [res] - 觸發重試的回應
+ * @returns {number} 毫秒
+ */
+function retryDelay(attempt, res) {
+  const retryAfter = Number(res?.headers.get("Retry-After"));
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, REQUEST_CONFIG.retryMaxMs);
+
+  const ceiling = Math.min(REQUEST_CONFIG.retryBaseMs * 2 ** attempt, REQUEST_CONFIG.retryMaxMs);
+  // 一半固定、一半隨機，避免大量用戶同時重試
+  return ceiling / 2 + Math.random() * (ceiling / 2);
+}
+
+/**
+ * 呼叫 /api/chat，遇到 502/503/504 或網路錯誤時自動重試
+ * - 每次嘗試各自計時，超過 REQUEST_CONFIG.timeoutMs 仍未收到回應標頭即視為逾時（不重試）
+ * - 回傳後計時器繼續涵蓋回應內容，須以 readChatStream 或 parseChatResponse 讀取
+ * - signal 中止時（使用者按「停止」）立即結束，包含重試前的等待
+ * 
+ * @param {{text:string, clientId:string, language:string, conversationId:string, idempotencyKey:string, stream:boolean}} payload - 請求內容
+ * @param {AbortSignal} signal - 中止訊號
+ * @param {(attempt: number) => void} [onRetry] - 每次重試前呼叫（attempt 從 1 起算）
+ * @returns {Promise<Response>} 最後一次的回應（可能仍為錯誤狀態）
+ */
+export async function fetchChat(payload, signal, onRetry) {
+  for (let attempt = 0; ; attempt++) {
+    // 每次嘗試使用獨立的 controller：外部中止或逾時都會中止本次請求（含讀取回應內容）
+    const attemptController = new AbortController();
+    const forwardAbort = () => attemptController.abort();
+    signal.addEventListener("abort", forwardAbort, { once: true });
+    let timedOut = false;
+    let timer = 0;
+    // 重新計時（收到標頭、串流片段時呼叫）
+    const arm = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timedOut = true;
+        attemptController.abort();
+      }, REQUEST_CONFIG.timeoutMs);
+    };
+    // 本次嘗試結束：停止計時，不再轉送外部中止
+    const release = () => {
+      clearTimeout(timer);
+      signal.removeEventListener("abort", forwardAbort);
+    };
+    arm();
+
+    let res;
+    try {
+      res = await fetch(api("/api/chat"), {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Accept": RUNTIME.features.streaming
+            ? "text/event-stream, application/x-ndjson, application/json"
+            : "application/json",
+          "X-Client-Id": payload.clientId,
+        },
+        body: JSON.stringify(payload),
+        signal: attemptController.signal,
+      });
+    } catch (err) {
+      release();
+      if (signal.aborted) throw err;
+      if (timedOut) throw new Error(t("timeout"));
+      // 網路錯誤：還有次數就重試
+      if (attempt >= REQUEST_CONFIG.maxRetries) throw err;
+      onRetry?.(attempt + 1);
+      await sleep(retryDelay(attempt), signal);
+      continue;
+    }
+
+    if (RETRY_STATUSES.includes(res.status) && attempt < REQUEST_CONFIG.maxRetries) {
+      release();
+      // 不讀取的回應內容要取消，否則連線會一直佔著
+      res.body?.cancel().catch(() => {});
+      onRetry?.(attempt + 1);
+      await sleep(retryDelay(attempt, res), signal);
+      continue;
+    }
+
+    arm();
+    bodyWatchdogs.set(res, { touch: arm, release, timedOut: () => timedOut });
+    return res;
+  }
+}
+
+/**
+ * 解析一次性（非串流）回應，回傳要顯示的回覆
+ * - 非 2xx 時拋出錯誤（404 與 502/503/504 一律顯示「網路不穩定」）
+ * - 回應不是 JSON 時以 { errorRaw } 保留原始字串
+ *
+ * @param {Response} res - fetchChat 的回應
+ * @returns {Promise<ChatReply>} 回覆文字與結構化內容
+ */
+export async function parseChatResponse(res) {
+  // 以文字讀取回應（避免直接 .json() 遇到空字串拋錯）
+  const watchdog = bodyWatchdogs.get(res);
+  let raw;
+  try {
+    raw = await res.text();
+  } catch (err) {
+    throw bodyReadError(watchdog, err);
+  } finally {
+    watchdog?.release();
+  }
+
+  // 嘗試 JSON 解析
+  let data;
+  try {
+    data = raw ? JSON.parse(raw) : {};
+  } catch {
+    // JSON 解析失敗，保留原始字串供除錯
+    data = { errorRaw: raw };
+  }
+
+  // HTTP 狀態非 2xx 時拋出錯誤
+  if (!res.ok) {
+    // 特別處理 502 / 404 錯誤（以及重試後仍失敗的 503 / 504）
+    if (res.status === 404 || RETRY_STATUSES.includes(res.status)) {
+      throw new Error(t("networkUnstable"));
+    }
+
+    // 使用後端提供的錯誤訊息
+    const serverMsg =
+      (data && (data.error || data.body || data.message)) ?? raw ?? "unknown error";
+    throw new Error(`HTTP ${res.status} ${res.statusText} — ${serverMsg}`);
+  }
+
+  /**
+   * 整理機器人要顯示的內容
+   * 規則：
+   * 1) 若 data 是字串，直接當回覆
+   * 2) 若 data 是物件，優先用 data.text 或 data.message
+   * 3) ★ 只有 quickReplies / buttons / cards、沒有文字 → 文字為空字串
+   * 4) 若是空物件 {} → 顯示「網路不穩定，請再試一次」
+   * 5) 其他物件 → JSON 字串化後顯示（利於除錯）
+   */
+  const rich = normalizeRichContent(data);
+  let replyText;
+  if (typeof data === "string") {
+    replyText = data.trim() || t("emptyReply");
+  } else if (data && (data.text || data.message)) {
+    replyText = String(data.text || data.message);
+  } else if (Object.keys(rich).length) {
+    replyText = "";
+  } else {
+    // data 不是字串，也沒有 text/message 欄位
+    const isPlainEmptyObject =
+      data &&
+      typeof data === "object" &&
+      !Array.isArray(data) &&
+      Object.keys(data).length === 0;
+
+    replyText = isPlainEmptyObject
+      ? t("networkUnstable")
+      : JSON.stringify(data, null, 2);
+  }
+
+  return { text: replyText, ...rich };
+}
@@ -0,0 +1,180 @@
+/**
+ * 執行環境設定：API 網域、請求逾時與重試、暖機參數、功能開關
+ * 由 loadRuntimeConfig() 在啟動時合併 config.json、<meta> 與網址參數
+ */
+
+/* =========================
+   ★ 執行環境設定（prod / staging / local）
+   - ENV_PROFILES：各環境的預設值，apiBase 為空字串代表與頁面同源
+     （新增網域時，index.html CSP 的 connect-src 也要加上）
+   - apiBase 只接受同源或 ENV_PROFILES 已列出的網域：config.json / <meta> 指定其他網域時
+     會被 CSP 擋下，因此忽略並改用該環境的預設值（staging 須與頁面同源部署）
+   - 啟動時依序合併（後者優先）：
+     1) 與 index.html 同目錄的 config.json
+     2) <meta name="fourleaf-env">、<meta name="fourleaf-api-base">
+     3) 網址參數 ?env=（僅能選擇既有的環境名稱，不接受任意網址）
+   - config.json 格式：
+     { "env": "staging",
+       "profiles": { "staging": { "apiBase": "https://…", "request": {…}, "warmup": {…}, "features": {…},
+                                  "punctuation": { "question-break": false } } } }
+     punctuation 以規則 id 開關回覆的標點整理（規則見 punctuation.js 的 PUNCTUATION_RULES）
+     starters 可整組替換建議提問（格式見 starters.js）
+   ========================= */
+export const ENV_PROFILES = {
+  prod: {
+    label: "PROD",
+    apiBase: "https://standard-chartered-taipei-charity-dhfc.onrender.com",
+  },
+  staging: {
+    label: "STAGING",
+    apiBase: "",
+  },
+  local: {
+    label: "LOCAL",
+    // 本機一律由 node mock/server.js 提供頁面與 API（同源），CSP 不開放 localhost
+    apiBase: "",
+    // 本機後端沒有冷啟動，逾時也可以短一點
+    request: { timeoutMs: 30000 },
+    features: { warmup: false },
+  },
+};
+
+/** 預設環境 */
+export const DEFAULT_ENV = "prod";
+
+/** 可由網址參數覆寫的設定（目前只開放環境名稱） */
+const ENV_QUERY_PARAM = "env";
+
+/**
+ * 目前生效的執行設定
+ * - features.streaming：請後端以串流回覆
+ * - features.warmup：頁面載入時暖機、冷啟動時暫緩送出
+ * - features.outbox：離線時把訊息放進待送區
+ * - features.feedback：機器人回覆下方顯示讚 / 倒讚
+ * - notices：被忽略的設定（i18n 鍵與參數），顯示在環境標籤
+ */
+export const RUNTIME = {
+  env: DEFAULT_ENV,
+  label: ENV_PROFILES[DEFAULT_ENV].label,
+  apiBase: ENV_PROFILES[DEFAULT_ENV].apiBase,
+  features: { streaming: true, warmup: true, outbox: true, feedback: true },
+  /** @type {Object<string, boolean>} 標點規則開關（未列出的規則用預設值） */
+  punctuation: {},
+  /** @type {object[]|null} 建議提問（null 時使用 starters.js 的預設主題） */
+  starters: null,
+  /** @type {{key:string, params:Object<string, string>}[]} */
+  notices: [],
+};
+
+/**
+ * 組合完整 API 路徑
+ * @param {string} p - API 路徑，例如 "/api/chat"
+ * @returns {string} 完整的 API URL
+ */
+export const api = (p) => `${RUNTIME.apiBase}${p}`;
+
+/**
+ * 讀取 config.json；檔案不存在或格式錯誤時回傳 null
+ * @returns {Promise<object|null>}
+ */
+async function fetchConfigFile() {
+  try {
+    const res = await fetch("./config.json", { cache: "no-store" });
+    if (!res.ok) return null;
+    const data = await res.json();
+    return data && typeof data === "object" ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 讀取 <meta name="…"> 的 content
+ * @param {string} name - meta 名稱
+ * @returns {string}
+ */
+function metaContent(name) {
+  return document.querySelector(`meta[name="${name}"]`)?.getAttribute("content")?.trim() || "";
+}
+
+/**
+ * 檢查 API 網域是否在 CSP connect-src 允許範圍內（同源或 ENV_PROFILES 的網域）
+ * @param {string} apiBase - 設定的 API 網域（可為空字串或相對路徑，皆視為同源）
+ * @returns {boolean}
+ */
+function isAllowedApiBase(apiBase) {
+  if (!apiBase) return true;
+  try {
+    const { origin } = new URL(apiBase, location.href);
+    const allowed = Object.values(ENV_PROFILES)
+      .filter((profile) => profile.apiBase)
+      .map((profile) => new URL(profile.apiBase).origin);
+    return origin === location.origin || allowed.includes(origin);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 解析並套用執行設定（只在啟動時呼叫一次）
+ * @returns {Promise<void>}
+ */
+export async function loadRuntimeConfig() {
+  const file = (await fetchConfigFile()) || {};
+  const fromQuery = new URLSearchParams(location.search).get(ENV_QUERY_PARAM) || "";
+
+  RUNTIME.notices.length = 0;
+  const candidates = [fromQuery, metaContent("fourleaf-env"), file.env];
+  const env = candidates.find((name) => name && Object.hasOwn(ENV_PROFILES, name)) || DEFAULT_ENV;
+  if (fromQuery && env !== fromQuery) RUNTIME.notices.push({ key: "envUnknown", params: { name: fromQuery, env } });
+  // 網址參數明確指定環境時，不再套用頁面 meta 的網域覆寫
+  const metaApiBase = env === fromQuery ? "" : metaContent("fourleaf-api-base");
+
+  const base = ENV_PROFILES[env];
+  const patch = (file.profiles && typeof file.profiles[env] === "object" && file.profiles[env]) || {};
+  const pick = (key) => ({ ...base[key], ...patch[key] });
+
+  RUNTIME.env = env;
+  RUNTIME.label = patch.label || base.label;
+  // apiBase 允許設為空字串（同源），不能用 || 判斷
+  let apiBase = metaApiBase || (typeof patch.apiBase === "string" ? patch.apiBase : base.apiBase);
+  if (!isAllowedApiBase(apiBase)) {
+    RUNTIME.notices.push({ key: "apiBaseBlocked", params: { url: apiBase, env } });
+    apiBase = base.apiBase;
+  }
+  RUNTIME.apiBase = apiBase.replace(/\/+$/, "");
+  Object.assign(RUNTIME.features, pick("features"));
+  Object.assign(RUNTIME.punctuation, pick("punctuation"));
+  const starters = patch.starters ?? base.starters;
+  if (Array.isArray(starters)) RUNTIME.starters = starters;
+  Object.assign(REQUEST_CONFIG, pick("request"));
+  Object.assign(WARMUP_CONFIG, pick("warmup"));
+}
+
+/* =========================
+   ★ 請求逾時與重試設定
+   - timeoutMs：每次嘗試等待回應標頭、以及讀取回應內容時兩段資料之間的上限
+   - maxRetries：遇到 502/503/504 或網路錯誤時最多重試幾次
+   - retryBaseMs / retryMaxMs：指數退避的起始與上限等待時間
+   ========================= */
+export const REQUEST_CONFIG = {
+  timeoutMs: 60000,
+  maxRetries: 3,
+  retryBaseMs: 1000,
+  retryMaxMs: 8000,
+};
+
+/* =========================
+   ★ 後端暖機設定（流程見 app.js 的「後端暖機」）
+   - path：暖機請求的路徑
+   - coldAfterMs：超過此時間仍無回應即判定為冷啟動
+   - attemptTimeoutMs / pollIntervalMs：每次嘗試的逾時與間隔
+   - giveUpMs：最多等待多久後放棄，訊息照常送出
+   ========================= */
+export const WARMUP_CONFIG = {
+  path: "/api/health",
+  coldAfterMs: 2000,
+  attemptTimeoutMs: 20000,
+  pollIntervalMs: 3000,
+  giveUpMs: 90000,
+};
@@ -0,0 +1,524 @@
+/**
+ * 對話匯出與分享：Markdown、純文字、JSON、獨立 HTML 檔
+ * 機器人回覆由呼叫端傳入的 renderReply 產生（與畫面相同的處理流程），匯出內容與泡泡一致
+ */
+
+import { getLocale, t } from "./i18n.js";
+import { escapeHTML } from "./sanitize.js";
+import { renderRichContent } from "./rich-content.js";
+
+/* =========================
+   ★ 匯出格式
+   - markdown：由處理後的回覆 DOM 轉回 Markdown（標點規則與畫面相同），連結按鈕與卡片改為 Markdown 連結
+   - text：由處理後的回覆 DOM 取出文字（標點規則與畫面相同），連結附上網址
+   - json：完整的訊息物件（不含串流中的暫時欄位），可供客服或除錯使用
+   - html：獨立的 HTML 檔，泡泡內容即畫面上的 HTML；
+     檔案自帶 CSP（不執行任何 script），快速回覆在離線檔案中無法使用，不輸出
+   - 歡迎訊息一律以目前語系輸出
+   ========================= */
+export const EXPORT_FORMATS = {
+  markdown: { ext: "md", mime: "text/markdown;charset=utf-8", label: "exportMarkdown" },
+  text: { ext: "txt", mime: "text/plain;charset=utf-8", label: "exportText" },
+  json: { ext: "json", mime: "application/json;charset=utf-8", label: "exportJSON" },
+  html: { ext: "html", mime: "text/html;charset=utf-8", label: "exportHTML" },
+};
+
+/** 匯出檔名前綴 */
+const EXPORT_FILE_PREFIX = "sky-chat";
+
+/** 獨立 HTML 檔的樣式（與 styles.css 的泡泡外觀相近，只保留閱讀需要的部分） */
+const EXPORT_HTML_STYLE = `
+body { margin: 0; padding: 24px 16px; background: #f6f7fb; color: #111827;
+  font-family: system-ui, -apple-system, "Segoe UI", "Noto Sans TC", sans-serif; line-height: 1.6; }
+main { max-width: 820px; margin: 0 auto; display: flex; flex-direction: column; gap: 12px; }
+h1 { font-size: 20px; margin: 0; }
+.exported-at { font-size: 12px; color: #6b7280; margin-bottom: 8px; }
+.msg { display: flex; flex-direction: column; align-items: flex-start; gap: 4px; }
+.msg.user { align-items: flex-end; }
+.meta { font-size: 12px; color: #6b7280; }
+.bubble { max-width: 78%; border: 1px solid #e5e7eb; border-radius: 16px; padding: 10px 12px;
+  background: #fff; white-space: pre-wrap; word-break: break-word; }
+.msg.bot .bubble { white-space: normal; }
+.msg.user .bubble { background: #2563eb; color: #fff; border-color: #2563eb; }
+.bubble table { border-collapse: collapse; } .bubble th, .bubble td { border: 1px solid #e5e7eb; padding: 4px 8px; }
+.bubble pre { background: #f3f4f6; padding: 8px; border-radius: 8px; overflow-x: auto; }
+.bubble img, .rich-card-image { max-width: 100%; }
+.align-center { text-align: center; } .align-right { text-align: right; }
+.msg-rich, .rich-cards, .rich-buttons { display: flex; flex-wrap: wrap; gap: 6px; }
+.rich-card { width: 220px; border: 1px solid #e5e7eb; border-radius: 12px; padding: 8px; background: #fff;
+  display: flex; flex-direction: column; gap: 4px; }
+.rich-card-title { font-weight: 600; } .rich-card-body { font-size: 13px; color: #6b7280; }
+.rich-button { border: 1px solid #2563eb; border-radius: 10px; padding: 4px 10px; color: #2563eb; text-decoration: none; }
+`;
+
+/** 獨立 HTML 檔的 CSP：不允許 script，樣式只接受檔案內的 <style> */
+const EXPORT_HTML_CSP = "default-src 'none'; img-src https: data:; style-src 'unsafe-inline'; base-uri 'none'; form-action 'none'";
+
+/**
+ * @typedef {object} ExportSource
+ * @property {string} title - 對話串名稱
+ * @property {string} conversationId
+ * @property {import("./message-store.js").ChatMessage[]} messages
+ */
+
+/**
+ * @typedef {object} ExportFile
+ * @property {string} filename
+ * @property {string} mime
+ * @property {string} content
+ */
+
+/**
+ * 格式化訊息時間（依目前語系）
+ * @param {number} ts
+ * @returns {string}
+ */
+function formatTime(ts) {
+  return new Date(ts).toLocaleString(getLocale(), { dateStyle: "medium", timeStyle: "short" });
+}
+
+/**
+ * 發話者名稱
+ * @param {{role:string}} m
+ * @returns {string}
+ */
+function speaker(m) {
+  return m.role === "user" ? t("exportUser") : t("exportBot");
+}
+
+/**
+ * 訊息的原始文字（歡迎訊息以目前語系顯示）
+ * @param {{text:string, welcome?:boolean}} m
+ * @returns {string}
+ */
+function messageText(m) {
+  return m.welcome ? t("welcome") : m.text || "";
+}
+
+/**
+ * 匯出檔名（依匯出時間）
+ * @param {string} ext - 副檔名
+ * @returns {string}
+ */
+function exportFilename(ext) {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  const stamp = `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}`;
+  return `${EXPORT_FILE_PREFIX}-${stamp}.${ext}`;
+}
+
+/* =========================
+   各格式的輸出
+   ========================= */
+
+/**
+ * 連結按鈕與卡片轉為 Markdown 清單
+ * @param {{buttons?:object[], cards?:object[]}} m
+ * @returns {string[]}
+ */
+function richToMarkdown(m) {
+  const lines = [];
+  for (const card of m.cards || []) {
+    const parts = [`**${escapeMarkdown(card.title)}**`];
+    if (card.body) parts.push(escapeMarkdown(card.body));
+    if (card.link) parts.push(`[${escapeMarkdown(card.link.label)}](${markdownURL(card.link.url)})`);
+    lines.push(`- ${parts.join(" — ")}`);
+  }
+  for (const button of m.buttons || []) lines.push(`- [${escapeMarkdown(button.label)}](${markdownURL(button.url)})`);
+  return lines;
+}
+
+/**
+ * 連結的純文字（mailto: / tel: 只顯示位址；文字與網址相同時只顯示一次）
+ * @param {{label:string, url:string}} link
+ * @returns {string}
+ */
+function linkToText(link) {
+  const shown = link.url.replace(/^(?:mailto|tel):/i, "");
+  return link.label === link.url || link.label === shown ? shown : `${link.label} ${shown}`;
+}
+
+/**
+ * 連結按鈕與卡片轉為純文字清單
+ * @param {{buttons?:object[], cards?:object[]}} m
+ * @returns {string[]}
+ */
+function richToText(m) {
+  const lines = [];
+  for (const card of m.cards || []) {
+    const parts = [card.title];
+    if (card.body) parts.push(card.body);
+    if (card.link) parts.push(linkToText(card.link));
+    lines.push(`- ${parts.join(" — ")}`);
+  }
+  for (const button of m.buttons || []) lines.push(`- ${linkToText(button)}`);
+  return lines;
+}
+
+/** 輸出為純文字時前後需要換行的元素 */
+const TEXT_BLOCK_TAGS = new Set(["P", "DIV", "UL", "OL", "LI", "H1", "H2", "H3", "H4", "H5", "H6", "BLOCKQUOTE", "PRE", "TABLE", "TR", "HR"]);
+
+/**
+ * 處理後的回覆 HTML 轉為純文字
+ * - 區塊元素換行，列表項目加上「- 」或編號，表格儲存格以「 | 」分隔
+ * - 連結文字與網址不同時附上網址
+ *
+ * @param {TrustedHTML|string} html - renderReply 的結果
+ * @returns {string}
+ */
+export function replyHTMLToText(html) {
+  const template = document.createElement("template");
+  template.innerHTML = html;
+
+  let out = "";
+  const newline = () => {
+    if (out && !out.endsWith("\n")) out += "\n";
+  };
+  const walk = (parent) => {
+    let index = 0;
+    // <ol start="3">：接續前一段的編號
+    const start = parent.tagName === "OL" ? parseInt(parent.getAttribute("start"), 10) || 1 : 1;
+    for (const node of parent.childNodes) {
+      if (node.nodeType === 3) {
+        out += node.data;
+        continue;
+      }
+      if (node.nodeType !== 1) continue;
+      const tag = node.tagName;
+      if (tag === "BR") {
+        out += "\n";
+      } else if (tag === "IMG") {
+        out += node.getAttribute("alt") || "";
+      } else if (tag === "TD" || tag === "TH") {
+        if (index++) out += " | ";
+        walk(node);
+      } else if (tag === "A") {
+        const before = out.length;
+        walk(node);
+        const label = out.slice(before).trim();
+        const href = node.getAttribute("href") || "";
+        const shown = href.replace(/^(?:mailto|tel):/i, "");
+        if (href && label !== href && label !== shown) out += ` (${shown})`;
+      } else if (TEXT_BLOCK_TAGS.has(tag)) {
+        newline();
+        if (tag === "LI") out += parent.tagName === "OL" ? `${start + index++}. ` : "- ";
+        walk(node);
+        newline();
+      } else {
+        walk(node);
+      }
+    }
+  };
+  walk(template.content);
+  return out.replace(/\n{3,}/g, "\n\n").trim();
+}
+
+/**
+ * 跳脫文字中會被當成 Markdown 語法的字元
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeMarkdown(text) {
+  return text.replace(/[\\`*_[\]<|~]/g, "\\$&");
+}
+
+/**
+ * 網址轉為 Markdown 連結目的地：以 <> 包住，空白、括號都不會截斷連結
+ * @param {string} url
+ * @returns {string}
+ */
+function markdownURL(url) {
+  return `<${String(url).replace(/[\r\n]/g, "").replace(/[<>\\]/g, "\\$&")}>`;
+}
+
+/**
+ * 使用者輸入的純文字轉為 Markdown：行首的標題、引言、列表等記號與行內語法一律跳脫，
+ * 換行保留為換行（空行分段）
+ * @param {string} text
+ * @returns {string}
+ */
+function plainTextToMarkdown(text) {
+  const line = (raw) => escapeMarkdown(raw.trimEnd())
+    // 行首縮排會變成程式碼區塊：改為不換行空白
+    .replace(/^[ \t]+/, (indent) => "\u00a0".repeat(indent.length))
+    .replace(/^(\u00a0*)([#>+=-])/, "$1\\$2")
+    .replace(/^(\u00a0*\d+)([.)])/, "$1\\$2");
+  return text
+    .replace(/\r\n?/g, "\n")
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.split("\n").map(line).join("\\\n"))
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+/**
+ * 行內元素轉為 Markdown
+ * @param {Node} node
+ * @returns {string}
+ */
+function inlineToMarkdown(node) {
+  if (node.nodeType === 3) return escapeMarkdown(node.data.replace(/\s+/g, " "));
+  if (node.nodeType !== 1) return "";
+  const inner = () => [...node.childNodes].map(inlineToMarkdown).join("");
+  switch (node.tagName) {
+    case "BR":
+      // 反斜線換行：行尾空白在引言等地方會被去掉
+      return "\\\n";
+    case "STRONG":
+    case "B":
+      return `**${inner()}**`;
+    case "EM":
+    case "I":
+      return `_${inner()}_`;
+    case "DEL":
+      return `~~${inner()}~~`;
+    case "CODE":
+      return `\`${node.textContent}\``;
+    case "IMG":
+      return `![${escapeMarkdown(node.getAttribute("alt") || "")}](${markdownURL(node.getAttribute("src") || "")})`;
+    case "A": {
+      const href = node.getAttribute("href") || "";
+      const label = node.textContent.trim();
+      // 自動連結（文字即網址）：輸出網址本身
+      const isAutolink = !href || label === href || label === href.replace(/^(?:mailto|tel):/i, "");
+      if (isAutolink && /^[^\s<>]*$/.test(label)) return label ? `<${label}>` : "";
+      return `[${inner()}](${markdownURL(href)})`;
+    }
+    default:
+      return inner();
+  }
+}
+
+/**
+ * 表格轉為 Markdown 表格（對齊沿用 .align-* class）
+ * @param {HTMLTableElement} table
+ * @returns {string}
+ */
+function tableToMarkdown(table) {
+  const rows = [...table.querySelectorAll("tr")].map((row) => [...row.children]);
+  if (!rows.length) return "";
+  const line = (cells) => `| ${cells.map((cell) => inlineToMarkdown(cell).trim()).join(" | ")} |`;
+  const rule = rows[0].map((cell) => {
+    if (cell.classList.contains("align-center")) return ":---:";
+    if (cell.classList.contains("align-right")) return "---:";
+    if (cell.classList.contains("align-left")) return ":---";
+    return "---";
+  });
+  return [line(rows[0]), `| ${rule.join(" | ")} |`, ...rows.slice(1).map(line)].join("\n");
+}
+
+/**
+ * 區塊元素轉為 Markdown
+ * @param {Element} node
+ * @returns {string}
+ */
+function blockToMarkdown(node) {
+  const tag = node.tagName;
+  if (/^H[1-6]$/.test(tag)) return `${"#".repeat(Number(tag[1]))} ${inlineToMarkdown(node).trim()}`;
+  switch (tag) {
+    case "UL":
+    case "OL": {
+      const start = parseInt(node.getAttribute("start"), 10) || 1;
+      return [...node.children].map((li, i) => {
+        const marker = tag === "OL" ? `${start + i}.` : "-";
+        // 項目內的換行與巢狀列表縮排到項目文字底下
+        return `${marker} ${blocksToMarkdown(li, "\n").replace(/\n/g, `\n${" ".repeat(marker.length + 1)}`)}`;
+      }).join("\n");
+    }
+    case "BLOCKQUOTE":
+      return blocksToMarkdown(node).split("\n").map((l) => `> ${l}`.trimEnd()).join("\n");
+    case "PRE": {
+      const lang = /\blanguage-([\w+-]+)/.exec(node.querySelector("code")?.className || "")?.[1] || "";
+      return `\`\`\`${lang}\n${node.textContent.replace(/\n$/, "")}\n\`\`\``;
+    }
+    case "TABLE":
+      return tableToMarkdown(node);
+    case "HR":
+      return "---";
+    default:
+      return blocksToMarkdown(node);
+  }
+}
+
+/**
+ * 一串節點轉為 Markdown：連續的行內內容合併為一段，區塊之間空一行
+ * @param {Node} parent
+ * @param {string} [separator] - 區塊之間的分隔（列表項目內不空行）
+ * @returns {string}
+ */
+function blocksToMarkdown(parent, separator = "\n\n") {
+  const blocks = [];
+  let inline = "";
+  const flush = () => {
+    if (inline.trim()) blocks.push(inline.trim());
+    inline = "";
+  };
+  for (const node of parent.childNodes) {
+    if (node.nodeType === 1 && TEXT_BLOCK_TAGS.has(node.tagName)) {
+      flush();
+      const block = blockToMarkdown(node);
+      if (block.trim()) blocks.push(block);
+    } else {
+      inline += inlineToMarkdown(node);
+    }
+  }
+  flush();
+  return blocks.join(separator);
+}
+
+/**
+ * 處理後的回覆 HTML 轉為 Markdown（內容與畫面相同，包含標點整理的結果）
+ * @param {TrustedHTML|string} html - renderReply 的結果
+ * @returns {string}
+ */
+export function replyHTMLToMarkdown(html) {
+  const template = document.createElement("template");
+  template.innerHTML = html;
+  return blocksToMarkdown(template.content).replace(/\n{3,}/g, "\n\n").trim();
+}
+
+/**
+ * @param {ExportSource} source
+ * @param {(m: object) => TrustedHTML|string} renderReply
+ * @returns {string}
+ */
+function toMarkdown(source, renderReply) {
+  const blocks = [`# ${source.title}\n\n_${t("exportedAt", { time: formatTime(Date.now()) })}_`];
+  for (const m of source.messages) {
+    const body = m.role === "user" ? plainTextToMarkdown(messageText(m)) : replyHTMLToMarkdown(renderReply(m));
+    const lines = [`**${speaker(m)}** · ${formatTime(m.ts)}`, "", body];
+    const rich = richToMarkdown(m);
+    if (rich.length) lines.push("", ...rich);
+    blocks.push(lines.join("\n").trim());
+  }
+  return `${blocks.join("\n\n---\n\n")}\n`;
+}
+
+/**
+ * @param {ExportSource} source
+ * @param {(m: object) => TrustedHTML|string} renderReply
+ * @returns {string}
+ */
+function toText(source, renderReply) {
+  const blocks = [source.title, t("exportedAt", { time: formatTime(Date.now()) })];
+  for (const m of source.messages) {
+    const body = m.role === "user" ? messageText(m) : replyHTMLToText(renderReply(m));
+    blocks.push([`[${formatTime(m.ts)}] ${speaker(m)}`, body, ...richToText(m)].join("\n").trim());
+  }
+  return `${blocks.join("\n\n")}\n`;
+}
+
+/**
+ * @param {ExportSource} source
+ * @returns {string}
+ */
+function toJSON(source) {
+  const messages = source.messages.map((m) => {
+    const copy = { ...m, text: messageText(m) };
+    delete copy.streaming;
+    return copy;
+  });
+  return JSON.stringify({
+    title: source.title,
+    conversationId: source.conversationId,
+    language: getLocale(),
+    exportedAt: new Date().toISOString(),
+    messages,
+  }, null, 2);
+}
+
+/**
+ * @param {ExportSource} source
+ * @param {(m: object) => TrustedHTML|string} renderReply
+ * @returns {string}
+ */
+function toHTML(source, renderReply) {
+  const rows = source.messages.map((m) => {
+    const isUser = m.role === "user";
+    const bubble = isUser ? escapeHTML(messageText(m)) : String(renderReply(m));
+    // 連結按鈕與卡片沿用畫面的元素（快速回覆在離線檔案中無法使用）
+    const hasLinks = !isUser && (m.buttons?.length || m.cards?.length);
+    const rich = hasLinks ? renderRichContent({ buttons: m.buttons, cards: m.cards }, () => {}).outerHTML : "";
+    return `<section class="msg ${isUser ? "user" : "bot"}">
+<div class="meta">${escapeHTML(speaker(m))} · ${escapeHTML(formatTime(m.ts))}</div>
+<div class="bubble">${bubble}</div>${rich}
+</section>`;
+  });
+
+  return `<!doctype html>
+<html lang="${escapeHTML(getLocale())}">
+<head>
+<meta charset="utf-8" />
+<meta http-equiv="Content-Security-Policy" content="${EXPORT_HTML_CSP}" />
+<meta name="viewport" content="width=device-width,initial-scale=1" />
+<title>${escapeHTML(source.title)}</title>
+<style>${EXPORT_HTML_STYLE}</style>
+</head>
+<body>
+<main>
+<h1>${escapeHTML(source.title)}</h1>
+<div class="exported-at">${escapeHTML(t("exportedAt", { time: formatTime(Date.now()) }))}</div>
+${rows.join("\n")}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * 產生匯出檔內容
+ * @param {keyof EXPORT_FORMATS} format
+ * @param {ExportSource} source - 對話串（訊息依時間順序）
+ * @param {(m: object) => TrustedHTML|string} renderReply - 機器人訊息的 HTML（與畫面相同的處理流程）
+ * @returns {ExportFile}
+ */
+export function buildExport(format, source, renderReply) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new TypeError(`不支援的匯出格式：${format}`);
+
+  const builders = {
+    markdown: () => toMarkdown(source, renderReply),
+    text: () => toText(source, renderReply),
+    json: () => toJSON(source),
+    html: () => toHTML(source, renderReply),
+  };
+  return { filename: exportFilename(spec.ext), mime: spec.mime, content: builders[format]() };
+}
+
+/* =========================
+   ★ 下載與分享
+   ========================= */
+
+/**
+ * 以檔案下載
+ * @param {ExportFile} file
+ */
+export function downloadExport(file) {
+  const url = URL.createObjectURL(new Blob([file.content], { type: file.mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = file.filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  // 部分瀏覽器在 click 之後才開始讀取，稍後再釋放
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * 瀏覽器是否支援 Web Share API
+ * @returns {boolean}
+ */
+export function canShare() {
+  return typeof navigator.share === "function";
+}
+
+/**
+ * 以系統分享面板分享（純文字，通訊軟體大多只接受文字）
+ * @param {string} title - 分享標題
+ * @param {string} text - 分享內容
+ * @returns {Promise<void>} 使用者關閉分享面板時以 AbortError 拒絕
+ */
+export async function shareExport(title, text) {
+  await navigator.share({ title, text });
+}
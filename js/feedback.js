@@ -0,0 +1,267 @@
+/**
+ * 回覆評價：讚 / 倒讚（可附原因與說明），送往 /api/feedback
+ * 送出前先寫入待送佇列（localStorage），離線或失敗時保留，稍後自動重送
+ */
+
+import { REQUEST_CONFIG, api } from "./config.js";
+import { t } from "./i18n.js";
+
+/* =========================
+   ★ 回覆評價
+   - POST /api/feedback，body：
+     { clientId, messageId, conversationId, rating: "up" | "down", reason, comment,
+       question, answer, language, ts }
+   - 同一則訊息可改評價，後端以 messageId 取最新的一筆
+   - 佇列中同一則訊息只保留最新的一筆；最多 FEEDBACK_QUEUE_MAX 筆
+   - 倒讚先在佇列中等待原因（最多 FEEDBACK_DETAILS_WAIT_MS）：送出原因或略過後才送，
+     同一次評價只 POST 一次；使用者沒有回應時仍照常送出
+   - 送出佇列時持續處理到佇列清空，送出期間新加入的評價也會一起送
+   - 網路錯誤、408、429 與 5xx 保留重試（間隔倍增，上限 FEEDBACK_RETRY_MAX_MS）；
+     其他 4xx 視為格式錯誤，記錄後丟棄
+   ========================= */
+
+/** 倒讚原因（值送往後端，文字為 i18n 鍵） */
+export const FEEDBACK_REASONS = [
+  { value: "wrong", label: "reasonWrong" },
+  { value: "outdated", label: "reasonOutdated" },
+  { value: "irrelevant", label: "reasonIrrelevant" },
+  { value: "incomplete", label: "reasonIncomplete" },
+  { value: "other", label: "reasonOther" },
+];
+
+const FEEDBACK_QUEUE_KEY = "fourleaf_feedback_queue";
+const FEEDBACK_QUEUE_MAX = 50;
+const FEEDBACK_RETRY_BASE_MS = 5000;
+const FEEDBACK_RETRY_MAX_MS = 5 * 60 * 1000;
+/** 說明文字長度上限 */
+const FEEDBACK_COMMENT_MAX = 500;
+/** 倒讚等待原因的時間上限 */
+const FEEDBACK_DETAILS_WAIT_MS = 2 * 60 * 1000;
+
+/** 重送排程 */
+let retryTimer = 0;
+let retryDelay = FEEDBACK_RETRY_BASE_MS;
+/** 是否正在送出佇列 */
+let flushing = false;
+
+/**
+ * 讀取待送佇列
+ * @returns {object[]}
+ */
+function loadQueue() {
+  try {
+    const list = JSON.parse(localStorage.getItem(FEEDBACK_QUEUE_KEY) || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * 寫入待送佇列
+ * @param {object[]} list
+ */
+function saveQueue(list) {
+  try {
+    if (list.length) localStorage.setItem(FEEDBACK_QUEUE_KEY, JSON.stringify(list.slice(-FEEDBACK_QUEUE_MAX)));
+    else localStorage.removeItem(FEEDBACK_QUEUE_KEY);
+  } catch {
+    // 容量不足等情況：這次的評價只能放棄
+  }
+}
+
+/**
+ * 加入待送佇列（同一則訊息的舊評價會被取代），之後由 flushFeedbackQueue 送出
+ * @param {object} payload - /api/feedback 的 body
+ * @param {{awaitingDetails?: boolean}} [options] - awaitingDetails：還在等使用者填原因，暫不送出
+ */
+export function enqueueFeedback(payload, { awaitingDetails = false } = {}) {
+  const list = loadQueue().filter((item) => item.messageId !== payload.messageId);
+  const item = { ...payload, comment: String(payload.comment || "").slice(0, FEEDBACK_COMMENT_MAX) };
+  // sendAfter 只留在佇列，送出時移除
+  if (awaitingDetails) item.sendAfter = Date.now() + FEEDBACK_DETAILS_WAIT_MS;
+  list.push(item);
+  saveQueue(list);
+}
+
+/**
+ * 送出一筆評價
+ * @param {object} payload
+ * @returns {Promise<"sent"|"retry"|"drop">}
+ */
+async function postFeedback(payload) {
+  const body = { ...payload };
+  delete body.sendAfter;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_CONFIG.timeoutMs);
+  try {
+    const res = await fetch(api("/api/feedback"), {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Client-Id": payload.clientId },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+    if (res.ok) return "sent";
+    if (res.status === 408 || res.status === 429 || res.status >= 500) return "retry";
+    // 其他 4xx：後端拒絕這筆評價，重送也不會成功
+    return "drop";
+  } catch {
+    return "retry";
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * 依序送出待送佇列，直到佇列清空（等待原因的倒讚除外）；失敗的留在佇列並排程重送
+ * @returns {Promise<void>}
+ */
+export async function flushFeedbackQueue() {
+  if (flushing || !navigator.onLine) return;
+  flushing = true;
+  clearTimeout(retryTimer);
+  retryTimer = 0;
+
+  let failed = false;
+  try {
+    // 每次重新讀取佇列：送出期間加入或修改的評價也會送出
+    for (let item = nextReady(); item; item = nextReady()) {
+      const result = await postFeedback(item);
+      if (result === "retry") {
+        failed = true;
+        break;
+      }
+      // 送出期間同一則訊息可能又改了評價：只移除剛送出的那一筆
+      saveQueue(loadQueue().filter((queued) => queued.messageId !== item.messageId || queued.ts !== item.ts));
+    }
+  } finally {
+    flushing = false;
+  }
+
+  if (failed) {
+    retryTimer = setTimeout(flushFeedbackQueue, retryDelay);
+    retryDelay = Math.min(retryDelay * 2, FEEDBACK_RETRY_MAX_MS);
+    return;
+  }
+  retryDelay = FEEDBACK_RETRY_BASE_MS;
+
+  // 還在等原因的倒讚：等待時間到了再送
+  const held = loadQueue().map((item) => item.sendAfter).filter(Number.isFinite);
+  if (held.length) retryTimer = setTimeout(flushFeedbackQueue, Math.max(0, Math.min(...held) - Date.now()));
+}
+
+/**
+ * 佇列中第一筆可以送出的評價
+ * @returns {object|undefined}
+ */
+function nextReady() {
+  const now = Date.now();
+  return loadQueue().find((item) => !(item.sendAfter > now));
+}
+
+/* =========================
+   ★ 評價按鈕（機器人泡泡下方）
+   ========================= */
+
+/**
+ * 建立評價區塊
+ * - 點讚 / 倒讚立即記錄；倒讚另外展開原因與說明（選填），送出或略過後才確定
+ *
+ * @param {(feedback: {rating:"up"|"down", reason?:string, comment?:string}, awaitingDetails?: boolean) => void} onRate
+ *   評價變更時呼叫；awaitingDetails 表示倒讚的原因還沒填，暫不送出
+ * @returns {HTMLElement}
+ */
+export function renderFeedbackControls(onRate) {
+  const root = document.createElement("div");
+  root.className = "msg-feedback";
+
+  const makeRate = (rating, icon, labelKey) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "feedback-btn";
+    btn.dataset.rating = rating;
+    btn.textContent = icon;
+    btn.title = t(labelKey);
+    btn.setAttribute("aria-label", t(labelKey));
+    btn.setAttribute("aria-pressed", "false");
+    return btn;
+  };
+  const btnUp = makeRate("up", "👍", "feedbackUp");
+  const btnDown = makeRate("down", "👎", "feedbackDown");
+  const thanks = document.createElement("span");
+  thanks.className = "feedback-thanks hidden";
+  thanks.textContent = t("feedbackThanks");
+
+  // 倒讚的原因與說明
+  const form = document.createElement("form");
+  form.className = "feedback-form hidden";
+  const prompt = document.createElement("div");
+  prompt.className = "feedback-prompt";
+  prompt.textContent = t("feedbackReasonPrompt");
+  const reasons = document.createElement("div");
+  reasons.className = "quick-replies";
+  for (const { value, label } of FEEDBACK_REASONS) {
+    const chip = document.createElement("button");
+    chip.type = "button";
+    chip.className = "chip";
+    chip.dataset.reason = value;
+    chip.textContent = t(label);
+    chip.setAttribute("aria-pressed", "false");
+    chip.addEventListener("click", () => {
+      for (const other of reasons.children) other.setAttribute("aria-pressed", String(other === chip && other.getAttribute("aria-pressed") !== "true"));
+    });
+    reasons.appendChild(chip);
+  }
+  const comment = document.createElement("textarea");
+  comment.className = "feedback-comment";
+  comment.rows = 2;
+  comment.maxLength = FEEDBACK_COMMENT_MAX;
+  comment.placeholder = t("feedbackCommentPlaceholder");
+  const actions = document.createElement("div");
+  actions.className = "msg-actions";
+  const btnSubmit = document.createElement("button");
+  btnSubmit.type = "submit";
+  btnSubmit.className = "btn btn-primary btn-sm";
+  btnSubmit.textContent = t("feedbackSubmit");
+  const btnSkip = document.createElement("button");
+  btnSkip.type = "button";
+  btnSkip.className = "btn btn-outline btn-sm";
+  btnSkip.textContent = t("feedbackSkip");
+  actions.append(btnSubmit, btnSkip);
+  form.append(prompt, reasons, comment, actions);
+
+  btnUp.addEventListener("click", () => {
+    form.classList.add("hidden");
+    onRate({ rating: "up" });
+  });
+  btnDown.addEventListener("click", () => {
+    form.classList.remove("hidden");
+    onRate({ rating: "down" }, true);
+    comment.focus();
+  });
+  btnSkip.addEventListener("click", () => {
+    form.classList.add("hidden");
+    onRate({ rating: "down" });
+  });
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const reason = reasons.querySelector('[aria-pressed="true"]')?.dataset.reason;
+    onRate({ rating: "down", reason, comment: comment.value.trim() });
+    form.classList.add("hidden");
+  });
+
+  root.append(btnUp, btnDown, thanks, form);
+  return root;
+}
+
+/**
+ * 依訊息的評價更新按鈕狀態
+ * @param {HTMLElement} root - renderFeedbackControls 的結果
+ * @param {{rating?:"up"|"down"}} [feedback] - 訊息目前的評價
+ */
+export function updateFeedbackControls(root, feedback) {
+  for (const btn of root.querySelectorAll(".feedback-btn")) {
+    btn.setAttribute("aria-pressed", String(btn.dataset.rating === feedback?.rating));
+  }
+  root.querySelector(".feedback-thanks").classList.toggle("hidden", !feedback);
+}
@@ -0,0 +1,399 @@
+/**
+ * 多國語系：介面文字目錄與 t() 查詢
+ * 不依賴 DOM（translatePage 除外），瀏覽器與 Node 皆可直接 import
+ */
+
+/* =========================
+   ★ 多國語系
+   - LOCALES：可選語系，apiLanguage 為送往 /api/chat 的 language 值，
+     speechLang 為語音辨識（與朗讀）使用的 BCP 47 語言代碼
+   - I18N_MESSAGES：介面文字目錄，缺少的鍵依序退回英文、鍵名本身
+   - 語系選擇存於 localStorage；首次造訪依 navigator.languages 判斷
+   - index.html 中以 data-i18n（文字）、data-i18n-placeholder、data-i18n-title、
+     data-i18n-aria-label 標記需要翻譯的元素
+   ========================= */
+const LOCALE_KEY = "fourleaf_locale";
+
+export const LOCALES = {
+  "zh-Hant": { label: "繁體中文", apiLanguage: "繁體中文", speechLang: "zh-TW" },
+  en: { label: "English", apiLanguage: "English", speechLang: "en-US" },
+  ja: { label: "日本語", apiLanguage: "日本語", speechLang: "ja-JP" },
+};
+
+export const I18N_MESSAGES = {
+  "zh-Hant": {
+    pageTitle: "2026渣打臺北公益馬拉松",
+    brandTitle: "2026渣打臺北公益馬拉松",
+    brandSubtitle: "渣打臺北公益馬拉松服務大小事交給渣打馬智能客服Sky 24小時全天候隨問隨答",
+    welcome: "嗨，我是 Sky！我熱愛跑步、熱心公益，永遠充滿正能量。我熟悉賽事的大小事，希望用我的專業滿足你的需求。\n關於渣打臺北公益馬拉松有任何問題，都歡迎問我！",
+    inputPlaceholder: "輸入訊息（Shift+Enter 換行，Enter 送出）",
+    send: "送出",
+    stop: "停止",
+    retry: "重試",
+    cancel: "取消",
+    clearConversation: "清除對話",
+    clearConversationTitle: "清除對話紀錄",
+    clearConfirm: "確定要清除這個對話的所有紀錄嗎？",
+    threads: "對話列表",
+    newThread: "＋ 新對話",
+    untitledThread: "新對話",
+    threadNamePrompt: "對話名稱",
+    rename: "重新命名",
+    delete: "刪除",
+    deleteThreadConfirm: "確定要刪除「{title}」嗎？",
+    loadEarlier: "載入較早的訊息",
+    language: "語言",
+    envUnknown: "未知的環境名稱「{name}」，已改用 {env}",
+    apiBaseBlocked: "API 網域 {url} 不在允許範圍，已改用 {env} 預設值",
+    thinking: "Sky正在思考 快想到囉!",
+    waking: "Sky 正在起床暖身中，第一次回覆約需 30～60 秒，請稍候…",
+    retrying: "連線不穩定，重試中（{attempt}/{max}）…",
+    pendingStatus: "尚未送出・恢復連線後自動送出",
+    networkUnstable: "網路不穩定，請再試一次。",
+    offline: "目前處於離線狀態，請檢查網路連線後再試一次。",
+    timeout: "等待回覆逾時，請再試一次。",
+    stopped: "已停止回覆。",
+    emptyReply: "（空白回覆）",
+    topics: "話題",
+    topicsTitle: "常見問題",
+    startersHint: "不知道從哪裡問起？試試這些：",
+    topicRegistration: "報名",
+    topicRace: "組別與起跑",
+    topicRaceKit: "領物",
+    topicRaceDay: "交通與寄物",
+    topicCharity: "公益捐款",
+    starterDeadline: "報名截止日是哪一天？",
+    starterCategories: "今年有哪些組別？",
+    starterStartTimes: "各組別幾點起跑？",
+    starterKitPickup: "什麼時候、在哪裡領取物資？",
+    starterTransport: "比賽當天怎麼到會場？",
+    starterBagDrop: "會場有寄物服務嗎？",
+    starterDonation: "要怎麼參與公益捐款？",
+    feedbackUp: "這個回答有幫助",
+    feedbackDown: "這個回答沒有幫助",
+    feedbackThanks: "感謝回饋",
+    feedbackReasonPrompt: "哪裡不夠好？（選填）",
+    reasonWrong: "資訊錯誤",
+    reasonOutdated: "資訊過時",
+    reasonIrrelevant: "答非所問",
+    reasonIncomplete: "不夠完整",
+    reasonOther: "其他",
+    feedbackCommentPlaceholder: "補充說明（選填）",
+    feedbackSubmit: "送出",
+    feedbackSkip: "略過",
+    export: "匯出",
+    exportTitle: "匯出對話",
+    exportMarkdown: "Markdown（.md）",
+    exportText: "純文字（.txt）",
+    exportJSON: "JSON（.json）",
+    exportHTML: "網頁（.html）",
+    share: "分享…",
+    exportUser: "你",
+    exportBot: "Sky",
+    exportedAt: "匯出時間：{time}",
+    print: "列印…",
+    printedAt: "列印時間：{time}",
+    justNow: "剛剛",
+    today: "今天",
+    yesterday: "昨天",
+    voiceStart: "語音輸入",
+    voiceStop: "停止語音輸入",
+    voiceListening: "正在聆聽…",
+    voiceNoSpeech: "沒有聽到聲音，請再試一次",
+    voiceNoMic: "找不到麥克風",
+    voiceDenied: "無法使用麥克風：請在瀏覽器的網站設定中允許麥克風權限",
+    voiceNetwork: "語音辨識需要網路連線",
+    voiceFailed: "語音辨識失敗，請再試一次",
+    readAloud: "朗讀",
+    pauseReading: "暫停朗讀",
+    resumeReading: "繼續朗讀",
+    autoRead: "自動朗讀新回覆",
+    speechPause: "。",
+    speechFieldSep: "：",
+    speechListSep: "，",
+    speechLink: "連結 {host}",
+    speechImage: "圖片：{alt}",
+    speechCodeSkipped: "（程式碼略過）",
+    speechButtons: "相關連結：{items}",
+    speechQuickReplies: "你可以接著問：{items}",
+  },
+  en: {
+    pageTitle: "2026 Standard Chartered Taipei Charity Marathon",
+    brandTitle: "2026 Standard Chartered Taipei Charity Marathon",
+    brandSubtitle: "Ask Sky, the marathon's AI assistant, anything about the race — 24/7",
+    welcome: "Hi, I’m Sky. I enjoy running, am passionate about public welfare, and always full of positive energy. I’m familiar with every aspect of races and hope to use my expertise to meet your needs.\nIf you have any questions about the Standard Chartered Taipei Charity Marathon, feel free to ask me!",
+    inputPlaceholder: "Type a message (Shift+Enter for a new line, Enter to send)",
+    send: "Send",
+    stop: "Stop",
+    retry: "Retry",
+    cancel: "Cancel",
+    clearConversation: "Clear chat",
+    clearConversationTitle: "Clear conversation history",
+    clearConfirm: "Clear all messages in this conversation?",
+    threads: "Conversations",
+    newThread: "+ New chat",
+    untitledThread: "New chat",
+    threadNamePrompt: "Conversation name",
+    rename: "Rename",
+    delete: "Delete",
+    deleteThreadConfirm: "Delete “{title}”?",
+    loadEarlier: "Load earlier messages",
+    language: "Language",
+    envUnknown: "Unknown environment \"{name}\"; using {env}",
+    apiBaseBlocked: "API host {url} is not allowed; using the {env} default",
+    thinking: "Sky is thinking…",
+    waking: "Sky is waking up. The first reply can take 30–60 seconds…",
+    retrying: "Connection unstable, retrying ({attempt}/{max})…",
+    pendingStatus: "Not sent yet · will send when you're back online",
+    networkUnstable: "The network is unstable, please try again.",
+    offline: "Currently offline. Please check your network connection and try again.",
+    timeout: "The request timed out, please try again.",
+    stopped: "Response stopped.",
+    emptyReply: "(empty reply)",
+    topics: "Topics",
+    topicsTitle: "Popular questions",
+    startersHint: "Not sure where to start? Try one of these:",
+    topicRegistration: "Registration",
+    topicRace: "Categories & start times",
+    topicRaceKit: "Race kit",
+    topicRaceDay: "Transport & bag drop",
+    topicCharity: "Charity",
+    starterDeadline: "When does registration close?",
+    starterCategories: "What race categories are there this year?",
+    starterStartTimes: "What time does each category start?",
+    starterKitPickup: "When and where do I pick up my race kit?",
+    starterTransport: "How do I get to the venue on race day?",
+    starterBagDrop: "Is there a bag drop at the venue?",
+    starterDonation: "How can I make a charity donation?",
+    feedbackUp: "This answer was helpful",
+    feedbackDown: "This answer wasn't helpful",
+    feedbackThanks: "Thanks for your feedback",
+    feedbackReasonPrompt: "What went wrong? (optional)",
+    reasonWrong: "Incorrect",
+    reasonOutdated: "Out of date",
+    reasonIrrelevant: "Didn't answer my question",
+    reasonIncomplete: "Incomplete",
+    reasonOther: "Other",
+    feedbackCommentPlaceholder: "Tell us more (optional)",
+    feedbackSubmit: "Submit",
+    feedbackSkip: "Skip",
+    export: "Export",
+    exportTitle: "Export conversation",
+    exportMarkdown: "Markdown (.md)",
+    exportText: "Plain text (.txt)",
+    exportJSON: "JSON (.json)",
+    exportHTML: "Web page (.html)",
+    share: "Share…",
+    exportUser: "You",
+    exportBot: "Sky",
+    exportedAt: "Exported {time}",
+    print: "Print…",
+    printedAt: "Printed {time}",
+    justNow: "Just now",
+    today: "Today",
+    yesterday: "Yesterday",
+    voiceStart: "Voice input",
+    voiceStop: "Stop voice input",
+    voiceListening: "Listening…",
+    voiceNoSpeech: "Didn't catch that. Please try again.",
+    voiceNoMic: "No microphone found",
+    voiceDenied: "Microphone blocked: allow microphone access in your browser's site settings",
+    voiceNetwork: "Voice input needs an internet connection",
+    voiceFailed: "Voice input failed. Please try again.",
+    readAloud: "Read aloud",
+    pauseReading: "Pause reading",
+    resumeReading: "Resume reading",
+    autoRead: "Read new replies aloud",
+    speechPause: ".",
+    speechFieldSep: ": ",
+    speechListSep: ", ",
+    speechLink: "link to {host}",
+    speechImage: "image: {alt}",
+    speechCodeSkipped: "(code omitted)",
+    speechButtons: "Related links: {items}",
+    speechQuickReplies: "You can also ask: {items}",
+  },
+  ja: {
+    pageTitle: "2026 スタンダードチャータード台北チャリティマラソン",
+    brandTitle: "2026 スタンダードチャータード台北チャリティマラソン",
+    brandSubtitle: "大会のことはAIアシスタントSkyに。24時間いつでもお答えします",
+    welcome: "こんにちは、Skyです。ランニングが大好きで、社会貢献にも熱心、いつも前向きなエネルギーにあふれています。大会のあらゆることに詳しいので、その知識でお役に立てればうれしいです。\nスタンダードチャータード台北チャリティマラソンについて、何でも気軽に聞いてください！",
+    inputPlaceholder: "メッセージを入力（Shift+Enterで改行、Enterで送信）",
+    send: "送信",
+    stop: "停止",
+    retry: "再試行",
+    cancel: "キャンセル",
+    clearConversation: "会話を消去",
+    clearConversationTitle: "会話履歴を消去",
+    clearConfirm: "この会話のメッセージをすべて消去しますか？",
+    threads: "会話一覧",
+    newThread: "＋ 新しい会話",
+    untitledThread: "新しい会話",
+    threadNamePrompt: "会話の名前",
+    rename: "名前を変更",
+    delete: "削除",
+    deleteThreadConfirm: "「{title}」を削除しますか？",
+    loadEarlier: "以前のメッセージを読み込む",
+    language: "言語",
+    envUnknown: "不明な環境名「{name}」のため {env} を使用しています",
+    apiBaseBlocked: "API ホスト {url} は許可されていないため {env} の既定値を使用しています",
+    thinking: "Skyが考えています…",
+    waking: "Skyが起動中です。最初の返信まで30〜60秒ほどかかります…",
+    retrying: "接続が不安定です。再試行しています（{attempt}/{max}）…",
+    pendingStatus: "未送信・オンラインに戻ると自動で送信します",
+    networkUnstable: "ネットワークが不安定です。もう一度お試しください。",
+    offline: "オフラインです。ネットワーク接続を確認して、もう一度お試しください。",
+    timeout: "応答がタイムアウトしました。もう一度お試しください。",
+    stopped: "応答を停止しました。",
+    emptyReply: "（空の返信）",
+    topics: "トピック",
+    topicsTitle: "よくある質問",
+    startersHint: "何を聞けばいいか迷ったら、こちらからどうぞ：",
+    topicRegistration: "エントリー",
+    topicRace: "種目とスタート時刻",
+    topicRaceKit: "参加キット",
+    topicRaceDay: "アクセスと荷物預け",
+    topicCharity: "チャリティ",
+    starterDeadline: "エントリーの締め切りはいつですか？",
+    starterCategories: "今年はどんな種目がありますか？",
+    starterStartTimes: "各種目のスタート時刻は？",
+    starterKitPickup: "参加キットはいつ、どこで受け取れますか？",
+    starterTransport: "大会当日、会場へはどう行けばいいですか？",
+    starterBagDrop: "会場に荷物預かりはありますか？",
+    starterDonation: "チャリティ寄付はどうすればできますか？",
+    feedbackUp: "役に立った",
+    feedbackDown: "役に立たなかった",
+    feedbackThanks: "ご意見ありがとうございます",
+    feedbackReasonPrompt: "どこが良くなかったですか？（任意）",
+    reasonWrong: "情報が間違っている",
+    reasonOutdated: "情報が古い",
+    reasonIrrelevant: "質問の答えになっていない",
+    reasonIncomplete: "情報が足りない",
+    reasonOther: "その他",
+    feedbackCommentPlaceholder: "詳しく教えてください（任意）",
+    feedbackSubmit: "送信",
+    feedbackSkip: "スキップ",
+    export: "エクスポート",
+    exportTitle: "会話をエクスポート",
+    exportMarkdown: "Markdown（.md）",
+    exportText: "テキスト（.txt）",
+    exportJSON: "JSON（.json）",
+    exportHTML: "Web ページ（.html）",
+    share: "共有…",
+    exportUser: "あなた",
+    exportBot: "Sky",
+    exportedAt: "エクスポート日時：{time}",
+    print: "印刷…",
+    printedAt: "印刷日時：{time}",
+    justNow: "たった今",
+    today: "今日",
+    yesterday: "昨日",
+    voiceStart: "音声入力",
+    voiceStop: "音声入力を停止",
+    voiceListening: "聞き取り中…",
+    voiceNoSpeech: "音声が聞き取れませんでした。もう一度お試しください",
+    voiceNoMic: "マイクが見つかりません",
+    voiceDenied: "マイクを使用できません：ブラウザのサイト設定でマイクを許可してください",
+    voiceNetwork: "音声入力にはインターネット接続が必要です",
+    voiceFailed: "音声入力に失敗しました。もう一度お試しください",
+    readAloud: "読み上げ",
+    pauseReading: "読み上げを一時停止",
+    resumeReading: "読み上げを再開",
+    autoRead: "新しい返信を自動で読み上げ",
+    speechPause: "。",
+    speechFieldSep: "：",
+    speechListSep: "、",
+    speechLink: "{host} へのリンク",
+    speechImage: "画像：{alt}",
+    speechCodeSkipped: "（コードは省略）",
+    speechButtons: "関連リンク：{items}",
+    speechQuickReplies: "続けて質問できます：{items}",
+  },
+};
+
+/**
+ * 依瀏覽器語言推測預設語系
+ * @returns {string} LOCALES 的鍵
+ */
+function detectLocale() {
+  const nav = globalThis.navigator;
+  const prefs = nav?.languages?.length ? nav.languages : [nav?.language || ""];
+  for (const pref of prefs) {
+    const lang = String(pref).toLowerCase();
+    // 只提供繁體中文，簡體中文使用者也以繁體顯示
+    if (lang.startsWith("zh")) return "zh-Hant";
+    if (lang.startsWith("ja")) return "ja";
+    if (lang.startsWith("en")) return "en";
+  }
+  return "en";
+}
+
+/**
+ * 讀取上次選擇的語系（Node 等沒有 localStorage 的環境回傳空字串）
+ * @returns {string}
+ */
+function storedLocale() {
+  try {
+    return globalThis.localStorage?.getItem(LOCALE_KEY) || "";
+  } catch {
+    return "";
+  }
+}
+
+/** 目前語系 */
+let locale = Object.hasOwn(LOCALES, storedLocale()) ? storedLocale() : detectLocale();
+
+/**
+ * 取得目前語系
+ * @returns {string} LOCALES 的鍵
+ */
+export function getLocale() {
+  return locale;
+}
+
+/**
+ * 切換語系並記住選擇（只更新狀態，畫面由呼叫端重繪）
+ * @param {string} next - LOCALES 的鍵
+ * @returns {boolean} 是否為可用的語系
+ */
+export function setLocale(next) {
+  if (!Object.hasOwn(LOCALES, next)) return false;
+  locale = next;
+  try {
+    globalThis.localStorage?.setItem(LOCALE_KEY, next);
+  } catch {
+    // 無法寫入時只在本次生效
+  }
+  return true;
+}
+
+/**
+ * 取得目前語系的介面文字，{name} 以 params 取代
+ * @param {string} key - 文字鍵
+ * @param {Record<string, string|number>} [params] - 參數
+ * @returns {string}
+ */
+export function t(key, params) {
+  const template = I18N_MESSAGES[locale]?.[key] ?? I18N_MESSAGES.en[key] ?? key;
+  return params
+    ? template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match))
+    : template;
+}
+
+/**
+ * 將目前語系套用到 index.html 中標記的靜態文字
+ * @param {Document} [doc] - 要翻譯的文件
+ */
+export function translatePage(doc = document) {
+  doc.documentElement.lang = locale;
+  doc.title = t("pageTitle");
+  for (const el of doc.querySelectorAll("[data-i18n]")) {
+    el.textContent = t(el.dataset.i18n);
+  }
+  for (const attr of ["placeholder", "title", "aria-label"]) {
+    const dataKey = `i18n${attr.replace(/(^|-)(\w)/g, (m, dash, c) => c.toUpperCase())}`;
+    for (const el of doc.querySelectorAll(`[data-i18n-${attr}]`)) {
+      el.setAttribute(attr, t(el.dataset[dataKey]));
+    }
+  }
+}
@@ -0,0 +1,1083 @@
+/**
+ * Markdown 轉 HTML（區塊 / 行內兩階段解析）與串流中的穩定文字判斷
+ * 只處理字串、不依賴 DOM，輸出仍需經過 sanitize.js 清理
+ * 不輸出 inline style（嚴格 CSP 下無效）：對齊用 .align-*，圖片寬度用 .md-img
+ *
+ * 支援的 Markdown 語法：
+ * - 標題：# H1, ## H2, ### H3, #### H4, ##### H5, ###### H6
+ * - 段落：以空行分隔
+ * - 粗體：**text** 或 __text__
+ * - 斜體：*text* 或 _text_（英數字中間的 _ 不視為斜體）
+ * - 刪除線：~~text~~
+ * - 行內程式碼：`code`
+ * - 程式碼區塊：```language ... ``` 或 ~~~
+ * - 連結：[text](url)、<https://…>
+ * - ★ 自動連結：裸網址、Email、台灣電話號碼（02-2345-6789、0912-345-678、+886…）
+ * - 圖片：![alt](url)
+ * - 無序列表：- item、* item 或 + item（縮排可巢狀）
+ * - 有序列表：1. item 或 1) item（保留起始編號）
+ * - 引用：> quote（可巢狀 >>）
+ * - 水平線：---、*** 或 ___
+ * - 換行：段落內直接換行
+ * - ★ 表格：| col1 | col2 | 格式
+ */
+
+/* =========================
+   ★ Markdown 表格
+   - 以下小工具同時供 parseMarkdownTables 與區塊解析器判斷表格使用
+   ========================= */
+
+/**
+ * 解析單行表格，取得各欄位內容
+ * - 以未跳脫的 | 分割，\| 視為儲存格內的文字
+ * @param {string} line - 表格行
+ * @returns {string[]} 欄位陣列
+ */
+function parseTableRow(line) {
+  // 移除首尾的 | 並分割
+  let trimmed = line.trim();
+  if (trimmed.startsWith('|')) trimmed = trimmed.slice(1);
+  if (trimmed.endsWith('|') && !trimmed.endsWith('\\|')) trimmed = trimmed.slice(0, -1);
+  return trimmed.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * 檢查是否為分隔行（只包含 -、:、| 和空格）
+ * @param {string} line - 要檢查的行
+ * @returns {boolean} 是否為分隔行
+ */
+function isSeparatorRow(line) {
+  const trimmed = line.trim();
+  // 分隔行格式：|---|---|---| 或 |:---|:---:|---:| 或不帶結尾 |
+  // 必須包含 | 和 -
+  if (!trimmed.includes('|') || !trimmed.includes('-')) {
+    return false;
+  }
+  const cells = parseTableRow(trimmed);
+  // 每個 cell 應該只有 -、: 和空格，且至少要有一個 -
+  return cells.length > 0 && cells.every(cell => /^:?-+:?$/.test(cell.trim()));
+}
+
+/**
+ * 檢查是否為表格行（包含 | 且不是空行）
+ * @param {string} line - 要檢查的行
+ * @returns {boolean} 是否為表格行
+ */
+function isTableRow(line) {
+  const trimmed = line.trim();
+  // 必須包含 | 且有實際內容
+  return trimmed.length > 0 && trimmed.includes('|');
+}
+
+/**
+ * 從分隔行解析對齊方式
+ * @param {string} line - 分隔行
+ * @returns {string[]} 對齊方式陣列 ('left' | 'center' | 'right')
+ */
+function parseAlignment(line) {
+  const cells = parseTableRow(line);
+  return cells.map(cell => {
+    const trimmed = cell.trim();
+    const leftColon = trimmed.startsWith(':');
+    const rightColon = trimmed.endsWith(':');
+
+    if (leftColon && rightColon) return 'center';
+    if (rightColon) return 'right';
+    return 'left'; // 預設左對齊
+  });
+}
+
+/**
+ * ★ 解析 Markdown 表格
+ * 將 Markdown 表格語法轉換為 HTML <table> 標籤
+ * 
+ * 支援格式：
+ * | Header 1 | Header 2 | Header 3 |
+ * |----------|----------|----------|
+ * | Cell 1   | Cell 2   | Cell 3   |
+ * | Cell 4   | Cell 5   | Cell 6   |
+ * 
+ * 支援對齊方式：
+ * |:--- | 左對齊
+ * |:---:| 置中
+ * |---: | 右對齊
+ * 
+ * @param {string} text - 包含表格的文字
+ * @param {(cell: string) => string} [renderCell] - 儲存格內容轉換（markdownToHTML 以此套用行內語法）
+ * @returns {string} 轉換後的 HTML
+ */
+export function parseMarkdownTables(text, renderCell = (cell) => cell) {
+  if (!text || typeof text !== 'string') {
+    return '';
+  }
+
+  // 按行分割文字
+  const lines = text.split('\n');
+  const result = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    
+    // 檢查是否可能是表格的開始（包含 |）
+    if (isTableRow(line) && !isSeparatorRow(line)) {
+      // 收集連續的表格行
+      const tableLines = [];
+      let j = i;
+      
+      while (j < lines.length) {
+        const currentLine = lines[j];
+        if (isTableRow(currentLine) || isSeparatorRow(currentLine)) {
+          tableLines.push(currentLine);
+          j++;
+        } else {
+          // 遇到空行或非表格行
+          break;
+        }
+      }
+
+      // 至少需要 2 行（表頭 + 分隔線）
+      if (tableLines.length >= 2) {
+        // 找出分隔行的位置
+        let separatorIndex = -1;
+        for (let k = 0; k < tableLines.length; k++) {
+          if (isSeparatorRow(tableLines[k])) {
+            separatorIndex = k;
+            break;
+          }
+        }
+
+        // 如果找到有效的分隔行（且不是第一行）
+        if (separatorIndex > 0) {
+          // 解析對齊方式
+          const alignments = parseAlignment(tableLines[separatorIndex]);
+
+          // 建立 HTML 表格
+          let html = '<table class="markdown-table">';
+
+          // 處理表頭（分隔行之前的所有行）
+          html += '<thead>';
+          for (let k = 0; k < separatorIndex; k++) {
+            const headerCells = parseTableRow(tableLines[k]);
+            html += '<tr>';
+            headerCells.forEach((cell, index) => {
+              const align = alignments[index] || 'left';
+              html += '<th class="align-' + align + '">' + renderCell(cell) + '</th>';
+            });
+            html += '</tr>';
+          }
+          html += '</thead>';
+
+          // 處理表格內容（分隔行之後的所有行）
+          if (separatorIndex < tableLines.length - 1) {
+            html += '<tbody>';
+            for (let k = separatorIndex + 1; k < tableLines.length; k++) {
+              const rowCells = parseTableRow(tableLines[k]);
+              html += '<tr>';
+              rowCells.forEach((cell, index) => {
+                const align = alignments[index] || 'left';
+                html += '<td class="align-' + align + '">' + renderCell(cell) + '</td>';
+              });
+              html += '</tr>';
+            }
+            html += '</tbody>';
+          }
+
+          html += '</table>';
+          result.push(html);
+          i = j;
+          continue;
+        }
+      }
+      
+      // 不是有效的表格，將收集到的行當作普通文字
+      result.push(line);
+      i++;
+    } else {
+      // 不是表格行，保留原始行
+      result.push(line);
+      i++;
+    }
+  }
+
+  return result.join('\n');
+}
+
+/* =========================
+   ★ Markdown 解析器
+   - 第一步：以「行」為單位切出區塊節點（段落、標題、列表、引用、程式碼、表格…）
+   - 第二步：段落、標題、儲存格的文字交給行內解析（強調、連結、程式碼…）
+   - 第三步：由節點樹輸出 HTML
+   - 與 CommonMark 的差異（配合聊天情境）：
+     · 段落內的單一換行直接輸出 <br>
+     · 不支援縮排程式碼區塊，避免一般縮排文字被誤判
+     · 不支援 Setext 標題，段落下一行的 --- 一律視為水平線
+     · 列表可打斷段落，子列表縮排只需比父項目多 2 格
+     · 中日韓文字旁的 ** / __ 放寬判定，讓「**注意：**報名」可正常加粗
+   ========================= */
+
+/** 程式碼圍欄：``` 或 ~~~，可帶語言 */
+const MD_FENCE_RE = /^( {0,3})(`{3,}|~{3,})[ \t]*([^\s`]*)(.*)$/;
+/** 水平線：---、***、___（可夾空白） */
+const MD_HR_RE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+/** ATX 標題：# ~ ######，# 後需有空白 */
+const MD_ATX_RE = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+/** 引用：> quote */
+const MD_QUOTE_RE = /^ {0,3}> ?/;
+/** 列表項目：-、*、+ 或 1. / 1) */
+const MD_LIST_RE = /^( *)([-*+]|(\d{1,9})([.)]))([ \t]+|$)(.*)$/;
+/** 區塊級 HTML：原樣輸出，交由 sanitizeHTML 清理 */
+const MD_HTML_BLOCK_RE = /^ {0,3}<\/?(?:blockquote|div|dl|h[1-6]|hr|ol|p|pre|table|tbody|td|th|thead|tr|ul)(?:\s|\/?>|$)/i;
+/** 可用反斜線跳脫的 ASCII 標點 */
+const MD_ESCAPABLE_RE = /[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/;
+/** HTML 實體：&amp; &#123; &#x1F600; */
+const MD_ENTITY_RE = /^&(?:#\d{1,7}|#[xX][0-9a-fA-F]{1,6}|[A-Za-z][A-Za-z0-9]{1,31});/;
+/** 行內 HTML 標籤（開始或結束標籤） */
+const MD_INLINE_TAG_RE = /^<\/?[A-Za-z][A-Za-z0-9-]*(?:\s+[A-Za-z_:][\w.:-]*(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>/;
+/** 角括號自動連結：<https://…> 或 <name@example.com> */
+const MD_AUTOLINK_RE = /^<([A-Za-z][A-Za-z0-9+.-]{1,31}:[^\s<>]*)>/;
+const MD_EMAIL_AUTOLINK_RE = /^<([A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?)*)>/;
+/** 裸網址：不含中日韓文字、全形標點與 “”…— 等標點，「請至https://…報名。」只取網址本身 */
+const MD_BARE_URL_RE = /^https?:\/\/[^\s<>"'`\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\u2000-\u206f\u3000-\u303f\uff00-\uffef]+/iu;
+/** 裸 Email */
+const MD_BARE_EMAIL_RE = /^[A-Za-z0-9._%+-]+@[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?)*\.[A-Za-z]{2,}(?![A-Za-z0-9-])/;
+/**
+ * 台灣電話號碼（前後不可緊接數字）
+ * - 手機：0912-345-678、0912 345 678、0912345678、+886 912 345 678
+ * - 市話：02-2345-6789、(02)2345-6789、049-234-5678、+886-2-2345-6789（區碼後需有分隔或括號）
+ * - 免付費：0800-123-456
+ * - 分機：#123、轉123、分機123
+ */
+const MD_PHONE_RE = /^((?:\+886[-\s]?|0)9\d{2}[-\s]?\d{3}[-\s]?\d{3}|0800[-\s]?\d{3}[-\s]?\d{3}|(?:\(0\d{1,3}\)[-\s]?|(?:\+886[-\s]?|0)\d{1,3}[-\s])\d{3,4}[-\s]?\d{4})(?:\s?(?:#|轉|分機)\s?(\d{1,5}))?(?!\d)/;
+/** 自動連結結尾不收的字元：ASCII 句讀與強調符號（中日韓標點已由網址規則排除） */
+const MD_LINK_TRAIL_RE = /[.,;:!?*_~]+$/;
+/** 中日韓文字與全形標點 */
+const MD_CJK_RE = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\u3000-\u303f\uff00-\uffef]/u;
+
+/**
+ * 跳脫 HTML 特殊字元（純字串版本，供解析器輸出文字與屬性值）
+ * @param {string} str - 原始字串
+ * @returns {string} 跳脫後字串
+ */
+function mdEscape(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 是否為空白行
+ * @param {string} line - 單行文字
+ * @returns {boolean}
+ */
+function mdIsBlank(line) {
+  return !line || /^[ \t]*$/.test(line);
+}
+
+/**
+ * 計算行首空白數
+ * @param {string} line - 單行文字
+ * @returns {number}
+ */
+function mdIndent(line) {
+  return line.match(/^ */)[0].length;
+}
+
+/**
+ * 解析列表標記
+ * @param {string} line - 單行文字
+ * @returns {{indent:number, ordered:boolean, start:number, marker:string, contentCol:number, content:string}|null}
+ */
+function mdMatchListItem(line) {
+  const m = MD_LIST_RE.exec(line);
+  if (!m || MD_HR_RE.test(line)) return null;
+  const indent = m[1].length;
+  const markerLen = m[2].length;
+  const spacing = m[5].length;
+  return {
+    indent,
+    ordered: !!m[3],
+    start: m[3] ? parseInt(m[3], 10) : 1,
+    // 同一列表需使用相同的標記（- * + 或 . )）
+    marker: m[3] ? m[4] : m[2],
+    // 內容起始欄：標記後 1~4 個空白；超過 4 個或無內容時以 1 個計
+    contentCol: indent + markerLen + (spacing >= 1 && spacing <= 4 && m[6] ? spacing : 1),
+    content: m[6],
+  };
+}
+
+/**
+ * 第 i 行是否為表格開頭（表頭 + 分隔行）
+ * @param {string[]} lines - 所有行
+ * @param {number} i - 行索引
+ * @returns {boolean}
+ */
+function mdIsTableStart(lines, i) {
+  return (
+    i + 1 < lines.length &&
+    isTableRow(lines[i]) &&
+    !isSeparatorRow(lines[i]) &&
+    isSeparatorRow(lines[i + 1])
+  );
+}
+
+/**
+ * 第 i 行是否會開始新的區塊（用於判斷段落是否結束、懶惰延續是否成立）
+ * @param {string[]} lines - 所有行
+ * @param {number} i - 行索引
+ * @returns {boolean}
+ */
+function mdStartsBlock(lines, i) {
+  const line = lines[i];
+  return (
+    MD_FENCE_RE.test(line) ||
+    MD_HR_RE.test(line) ||
+    MD_ATX_RE.test(line) ||
+    MD_QUOTE_RE.test(line) ||
+    !!mdMatchListItem(line) ||
+    MD_HTML_BLOCK_RE.test(line) ||
+    mdIsTableStart(lines, i)
+  );
+}
+
+/**
+ * 區塊解析：將多行文字切成區塊節點
+ * 每個節點帶有 blankBefore，表示與前一個區塊之間有空行（判斷鬆散列表用）
+ * 
+ * @param {string[]} lines - 已統一換行與展開 tab 的文字行
+ * @returns {object[]} 區塊節點陣列
+ */
+function parseBlocks(lines) {
+  const blocks = [];
+  let para = null;        // 進行中的段落行
+  let sawBlank = false;   // 上一個區塊後是否出現空行
+  let i = 0;
+
+  const push = (block) => {
+    block.blankBefore = sawBlank && blocks.length > 0;
+    sawBlank = false;
+    blocks.push(block);
+  };
+  const flushPara = () => {
+    if (para) push({ type: 'paragraph', text: para.join('\n').trim() });
+    para = null;
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+    let m;
+
+    // 空行：結束段落
+    if (mdIsBlank(line)) {
+      flushPara();
+      sawBlank = true;
+      i++;
+      continue;
+    }
+
+    // 程式碼區塊：內容原樣保留；未關閉的圍欄延伸到結尾
+    m = MD_FENCE_RE.exec(line);
+    if (m && !(m[2][0] === '`' && m[4].includes('`'))) {
+      flushPara();
+      const fence = m[2];
+      const fenceIndent = m[1].length;
+      const closeRe = new RegExp(`^ {0,3}${fence[0] === '`' ? '`' : '~'}{${fence.length},}[ \\t]*$`);
+      const code = [];
+      i++;
+      while (i < lines.length && !closeRe.test(lines[i])) {
+        // 移除與開頭圍欄相同的縮排
+        code.push(lines[i].slice(Math.min(fenceIndent, mdIndent(lines[i]))));
+        i++;
+      }
+      i++; // 跳過結尾圍欄
+      push({ type: 'code', lang: m[3], text: code.join('\n') });
+      continue;
+    }
+
+    // 水平線（需在列表之前判斷，避免 * * * 被當成列表）
+    if (MD_HR_RE.test(line)) {
+      flushPara();
+      push({ type: 'hr' });
+      i++;
+      continue;
+    }
+
+    // 標題
+    m = MD_ATX_RE.exec(line);
+    if (m) {
+      flushPara();
+      push({ type: 'heading', level: m[1].length, text: (m[2] || '').trim() });
+      i++;
+      continue;
+    }
+
+    // 引用：去掉 > 後遞迴解析，因此可巢狀
+    if (MD_QUOTE_RE.test(line)) {
+      flushPara();
+      const quoted = [];
+      while (i < lines.length) {
+        const l = lines[i];
+        const qm = MD_QUOTE_RE.exec(l);
+        if (qm) {
+          quoted.push(l.slice(qm[0].length));
+        } else if (!mdIsBlank(l) && !mdIsBlank(quoted[quoted.length - 1]) && !mdStartsBlock(lines, i)) {
+          // 懶惰延續：引用內段落的下一行可省略 >
+          quoted.push(l);
+        } else {
+          break;
+        }
+        i++;
+      }
+      push({ type: 'blockquote', children: parseBlocks(quoted) });
+      continue;
+    }
+
+    // 列表
+    if (mdMatchListItem(line)) {
+      flushPara();
+      const { block, next } = parseList(lines, i);
+      push(block);
+      i = next;
+      continue;
+    }
+
+    // 表格
+    if (mdIsTableStart(lines, i)) {
+      flushPara();
+      const tableLines = [];
+      while (i < lines.length && !mdIsBlank(lines[i]) && isTableRow(lines[i])) {
+        tableLines.push(lines[i]);
+        i++;
+      }
+      push({ type: 'table', lines: tableLines });
+      continue;
+    }
+
+    // 區塊級 HTML：直到空行為止原樣輸出
+    if (MD_HTML_BLOCK_RE.test(line)) {
+      flushPara();
+      const htmlLines = [];
+      while (i < lines.length && !mdIsBlank(lines[i])) {
+        htmlLines.push(lines[i]);
+        i++;
+      }
+      push({ type: 'html', text: htmlLines.join('\n') });
+      continue;
+    }
+
+    // 其餘皆為段落文字
+    (para || (para = [])).push(line.replace(/^[ \t]+/, ''));
+    i++;
+  }
+
+  flushPara();
+  return blocks;
+}
+
+/**
+ * 解析一個列表（從第 start 行開始，直到標記種類改變或列表結束）
+ * 
+ * @param {string[]} lines - 所有行
+ * @param {number} start - 第一個項目所在行
+ * @returns {{block: object, next: number}} 列表節點與下一個待處理行
+ */
+function parseList(lines, start) {
+  const first = mdMatchListItem(lines[start]);
+  const list = {
+    type: 'list',
+    ordered: first.ordered,
+    start: first.start,
+    loose: false,
+    items: [],
+  };
+
+  let i = start;
+  let item = first;
+
+  while (item) {
+    const itemLines = [item.content];
+    i++;
+
+    while (i < lines.length) {
+      const l = lines[i];
+      if (mdIsBlank(l)) {
+        itemLines.push('');
+        i++;
+        continue;
+      }
+      const indent = mdIndent(l);
+      // 子列表需比本項目標記多縮排 2 格，一般內容只需多 1 格
+      const nested = mdMatchListItem(l) ? indent >= item.indent + 2 : indent > item.indent;
+      if (nested) {
+        itemLines.push(l.slice(Math.min(indent, item.contentCol)));
+        i++;
+        continue;
+      }
+      // 懶惰延續：項目段落的下一行可不縮排
+      if (!mdIsBlank(itemLines[itemLines.length - 1]) && !mdStartsBlock(lines, i)) {
+        itemLines.push(l.replace(/^[ \t]+/, ''));
+        i++;
+        continue;
+      }
+      break;
+    }
+
+    // 項目尾端的空行不屬於項目本身
+    let trailingBlank = false;
+    while (itemLines.length > 1 && mdIsBlank(itemLines[itemLines.length - 1])) {
+      itemLines.pop();
+      trailingBlank = true;
+    }
+
+    const children = parseBlocks(itemLines);
+    // 項目內的區塊之間有空行 → 鬆散列表
+    if (children.some((child) => child.blankBefore)) list.loose = true;
+    list.items.push({ children });
+
+    // 下一行若是同種標記的項目，則屬於同一列表
+    const next = i < lines.length ? mdMatchListItem(lines[i]) : null;
+    item = next && next.ordered === first.ordered && next.marker === first.marker ? next : null;
+    if (item && trailingBlank) list.loose = true;
+  }
+
+  return { block: list, next: i };
+}
+
+/**
+ * 計算強調符號（* _ ~~）的左右側屬性
+ * 規則依 CommonMark，另外把中日韓文字視為可與標點相鄰的邊界
+ * 
+ * @param {string|undefined} before - 符號前一個字元
+ * @param {string|undefined} after - 符號後一個字元
+ * @param {string} char - 符號字元
+ * @returns {{canOpen:boolean, canClose:boolean}}
+ */
+function mdFlanking(before, after, char) {
+  const isSpace = (c) => !c || /\s/u.test(c);
+  const isPunct = (c) => !!c && /[\p{P}\p{S}]/u.test(c);
+  const isCJK = (c) => !!c && MD_CJK_RE.test(c);
+
+  const left = !isSpace(after) &&
+    (!isPunct(after) || isSpace(before) || isPunct(before) || isCJK(before));
+  const right = !isSpace(before) &&
+    (!isPunct(before) || isSpace(after) || isPunct(after) || isCJK(after));
+
+  if (char === '_') {
+    // 底線不可在英數字中間開合（snake_case、網址不會變斜體）
+    return {
+      canOpen: left && (!right || isPunct(before)),
+      canClose: right && (!left || isPunct(after)),
+    };
+  }
+  return { canOpen: left, canClose: right };
+}
+
+/**
+ * 尋找與開頭等長的反引號串
+ * @param {string} src - 原始文字
+ * @param {number} from - 搜尋起點
+ * @param {number} len - 反引號數量
+ * @returns {number} 結尾反引號的位置，找不到回傳 -1
+ */
+function mdFindBacktickClose(src, from, len) {
+  const re = /`+/g;
+  re.lastIndex = from;
+  let m;
+  while ((m = re.exec(src))) {
+    if (m[0].length === len) return m.index;
+  }
+  return -1;
+}
+
+/**
+ * 解析 [text](url "title") 形式的連結
+ * @param {string} src - 原始文字
+ * @param {number} pos - [ 所在位置
+ * @returns {{text:string, href:string, title:string, end:number}|null}
+ */
+function mdParseLink(src, pos) {
+  // 找出對應的 ]（允許巢狀中括號，略過跳脫字元與行內程式碼）
+  let depth = 0;
+  let i = pos;
+  for (; i < src.length; i++) {
+    const c = src[i];
+    if (c === '\\') {
+      i++;
+    } else if (c === '`') {
+      const run = src.slice(i).match(/^`+/)[0].length;
+      const close = mdFindBacktickClose(src, i + run, run);
+      i = close < 0 ? i + run - 1 : close + run - 1;
+    } else if (c === '[') {
+      depth++;
+    } else if (c === ']' && --depth === 0) {
+      break;
+    }
+  }
+  if (i >= src.length || src[i + 1] !== '(') return null;
+
+  const textEnd = i;
+  let j = i + 2;
+  const skipSpace = () => { while (j < src.length && /[ \t\n]/.test(src[j])) j++; };
+  skipSpace();
+
+  // 目的網址：<...> 或不含空白、括號需成對
+  let href;
+  if (src[j] === '<') {
+    const end = src.indexOf('>', j);
+    if (end < 0 || src.slice(j + 1, end).includes('\n')) return null;
+    href = src.slice(j + 1, end);
+    j = end + 1;
+  } else {
+    const hrefStart = j;
+    let parens = 0;
+    while (j < src.length) {
+      const c = src[j];
+      if (c === '\\' && MD_ESCAPABLE_RE.test(src[j + 1] || '')) { j += 2; continue; }
+      if (/\s/.test(c)) break;
+      if (c === '(') parens++;
+      if (c === ')' && parens-- === 0) break;
+      j++;
+    }
+    href = src.slice(hrefStart, j);
+  }
+  skipSpace();
+
+  // 可選的標題
+  let title = '';
+  const quote = src[j];
+  if (quote === '"' || quote === "'" || quote === '(') {
+    const end = src.indexOf(quote === '(' ? ')' : quote, j + 1);
+    if (end < 0) return null;
+    title = src.slice(j + 1, end);
+    j = end + 1;
+    skipSpace();
+  }
+  if (src[j] !== ')') return null;
+
+  return {
+    text: src.slice(pos + 1, textEnd),
+    href: href.replace(/\\([!-/:-@[-`{-~])/g, '$1'),
+    title,
+    end: j + 1,
+  };
+}
+
+/**
+ * ★ 裸網址去掉結尾的句讀，以及未配對的右括號
+ * 例：「(詳見 https://example.com/a_(b))。」→ https://example.com/a_(b)
+ * @param {string} url - MD_BARE_URL_RE 比對到的字串
+ * @returns {string}
+ */
+function mdTrimBareUrl(url) {
+  for (;;) {
+    const trimmed = url.replace(MD_LINK_TRAIL_RE, '');
+    if (trimmed !== url) {
+      url = trimmed;
+      continue;
+    }
+    if (url.endsWith(')') && url.split('(').length < url.split(')').length) {
+      url = url.slice(0, -1);
+      continue;
+    }
+    return url;
+  }
+}
+
+/**
+ * ★ 電話號碼轉為 tel: 連結（只留數字與 +，分機以「,」暫停後撥號）
+ * @param {RegExpExecArray} m - MD_PHONE_RE 的比對結果（[1] 號碼、[2] 分機）
+ * @returns {string}
+ */
+function mdPhoneHref(m) {
+  return `tel:${m[1].replace(/[^\d+]/g, '')}${m[2] ? `,${m[2]}` : ''}`;
+}
+
+/**
+ * 行內解析：將文字轉為行內節點（強調已配對完成）
+ * 
+ * @param {string} src - 段落、標題或儲存格的文字
+ * @param {boolean} [inLink=false] - 是否位於連結文字內（連結不可巢狀）
+ * @returns {object[]} 行內節點陣列
+ */
+function parseInline(src, inLink = false) {
+  const nodes = [];
+  let buf = '';
+  // 位於原始 <a>…</a> 之內時不再自動連結
+  let anchorDepth = 0;
+  const flush = () => {
+    if (buf) nodes.push({ type: 'text', value: buf });
+    buf = '';
+  };
+
+  let pos = 0;
+  while (pos < src.length) {
+    const ch = src[pos];
+    const rest = src.slice(pos);
+    let m;
+
+    // 反斜線跳脫
+    if (ch === '\\' && MD_ESCAPABLE_RE.test(src[pos + 1] || '')) {
+      buf += src[pos + 1];
+      pos += 2;
+      continue;
+    }
+
+    // 換行：段落內換行直接輸出 <br>，並去掉前後空白
+    if (ch === '\n' || (ch === '\\' && src[pos + 1] === '\n')) {
+      buf = buf.replace(/[ \t]+$/, '');
+      flush();
+      nodes.push({ type: 'br' });
+      pos += ch === '\n' ? 1 : 2;
+      while (src[pos] === ' ' || src[pos] === '\t') pos++;
+      continue;
+    }
+
+    // 行內程式碼：反引號數量需相同
+    if (ch === '`') {
+      const run = rest.match(/^`+/)[0];
+      const close = mdFindBacktickClose(src, pos + run.length, run.length);
+      if (close < 0) {
+        buf += run;
+        pos += run.length;
+        continue;
+      }
+      let code = src.slice(pos + run.length, close).replace(/\n/g, ' ');
+      if (/^ .*[^ ].* $/.test(code)) code = code.slice(1, -1);
+      flush();
+      nodes.push({ type: 'code', value: code });
+      pos = close + run.length;
+      continue;
+    }
+
+    // 強調符號：先記下，最後統一配對
+    if (ch === '*' || ch === '_' || ch === '~') {
+      const run = rest.match(ch === '~' ? /^~+/ : ch === '*' ? /^\*+/ : /^_+/)[0];
+      // 刪除線只接受 ~~，單一 ~ 常用於時間區間（7:00~9:00）
+      if (ch === '~' && run.length !== 2) {
+        buf += run;
+        pos += run.length;
+        continue;
+      }
+      flush();
+      const { canOpen, canClose } = mdFlanking(src[pos - 1], src[pos + run.length], ch);
+      nodes.push({ type: 'delim', char: ch, count: run.length, origCount: run.length, canOpen, canClose });
+      pos += run.length;
+      continue;
+    }
+
+    // 圖片與連結
+    if ((ch === '!' && src[pos + 1] === '[') || (ch === '[' && !inLink)) {
+      const isImage = ch === '!';
+      const link = mdParseLink(src, isImage ? pos + 1 : pos);
+      if (link) {
+        flush();
+        const children = parseInline(link.text, true);
+        nodes.push(isImage
+          ? { type: 'image', src: link.href, title: link.title, alt: mdPlainText(children) }
+          : { type: 'link', href: link.href, title: link.title, children });
+        pos = link.end;
+        continue;
+      }
+    }
+
+    // 角括號自動連結與行內 HTML
+    if (ch === '<') {
+      if ((m = MD_AUTOLINK_RE.exec(rest))) {
+        flush();
+        nodes.push({ type: 'link', href: m[1], title: '', auto: true, children: [{ type: 'text', value: m[1] }] });
+        pos += m[0].length;
+        continue;
+      }
+      if ((m = MD_EMAIL_AUTOLINK_RE.exec(rest))) {
+        flush();
+        nodes.push({ type: 'link', href: `mailto:${m[1]}`, title: '', auto: true, children: [{ type: 'text', value: m[1] }] });
+        pos += m[0].length;
+        continue;
+      }
+      if ((m = MD_INLINE_TAG_RE.exec(rest))) {
+        flush();
+        if (/^<a[\s>]/i.test(m[0])) anchorDepth++;
+        else if (/^<\/a\s*>/i.test(m[0])) anchorDepth = Math.max(0, anchorDepth - 1);
+        nodes.push({ type: 'html', value: m[0] });
+        pos += m[0].length;
+        continue;
+      }
+    }
+
+    // HTML 實體原樣保留
+    if (ch === '&' && (m = MD_ENTITY_RE.exec(rest))) {
+      flush();
+      nodes.push({ type: 'html', value: m[0] });
+      pos += m[0].length;
+      continue;
+    }
+
+    // ★ 裸網址、Email、電話號碼：連結內只當文字（不參與強調判斷），其餘轉為連結
+    const prev = src[pos - 1] || '';
+    const autolink = !inLink && anchorDepth === 0;
+    if ((ch === 'h' || ch === 'H') && !/[A-Za-z0-9]/.test(prev) && (m = MD_BARE_URL_RE.exec(rest))) {
+      const url = autolink ? mdTrimBareUrl(m[0]) : m[0];
+      if (autolink && /^https?:\/\/[^/?#]/i.test(url)) {
+        flush();
+        nodes.push({ type: 'link', href: url, title: '', auto: true, children: [{ type: 'text', value: url }] });
+      } else {
+        buf += url;
+      }
+      pos += url.length;
+      continue;
+    }
+    if (autolink && /[A-Za-z0-9]/.test(ch) && !/[A-Za-z0-9._%+-]/.test(prev) && (m = MD_BARE_EMAIL_RE.exec(rest))) {
+      flush();
+      nodes.push({ type: 'link', href: `mailto:${m[0]}`, title: '', auto: true, children: [{ type: 'text', value: m[0] }] });
+      pos += m[0].length;
+      continue;
+    }
+    if (autolink && (ch === '0' || ch === '+' || ch === '(') && !/[A-Za-z0-9+\-/.]/.test(prev) && (m = MD_PHONE_RE.exec(rest))) {
+      flush();
+      nodes.push({ type: 'link', href: mdPhoneHref(m), title: '', auto: true, children: [{ type: 'text', value: m[0] }] });
+      pos += m[0].length;
+      continue;
+    }
+
+    buf += ch;
+    pos++;
+  }
+
+  flush();
+  mdProcessEmphasis(nodes);
+  return nodes;
+}
+
+/**
+ * 配對強調符號（CommonMark「process emphasis」演算法）
+ * 直接修改傳入的節點陣列：配對成功的區段收進 em / strong / del 節點，
+ * 未配對的符號還原為文字。
+ * 
+ * @param {object[]} nodes - parseInline 產生的節點
+ */
+function mdProcessEmphasis(nodes) {
+  let c = 0;
+  while (c < nodes.length) {
+    const closer = nodes[c];
+    if (closer.type !== 'delim' || !closer.canClose) {
+      c++;
+      continue;
+    }
+
+    // 往前尋找可配對的開頭符號
+    let o = c - 1;
+    for (; o >= 0; o--) {
+      const opener = nodes[o];
+      if (opener.type !== 'delim' || opener.char !== closer.char || !opener.canOpen) continue;
+      // 「3 的倍數」規則：避免 *foo**bar* 之類的錯誤配對
+      const oddMatch =
+        (opener.canClose || closer.canOpen) &&
+        (opener.origCount + closer.origCount) % 3 === 0 &&
+        !(opener.origCount % 3 === 0 && closer.origCount % 3 === 0);
+      if (closer.char === '~' || !oddMatch) break;
+    }
+
+    if (o < 0) {
+      c++;
+      continue;
+    }
+
+    const opener = nodes[o];
+    const use = closer.char === '~' ? 2 : (opener.count >= 2 && closer.count >= 2 ? 2 : 1);
+    const tag = closer.char === '~' ? 'del' : (use === 2 ? 'strong' : 'em');
+    opener.count -= use;
+    closer.count -= use;
+
+    // 中間未配對的符號一律還原為文字
+    const inner = nodes.splice(o + 1, c - o - 1).map((n) =>
+      n.type === 'delim' ? { type: 'text', value: n.char.repeat(n.count) } : n
+    );
+    nodes.splice(o + 1, 0, { type: tag, children: inner });
+    c = o + 2;
+
+    if (opener.count === 0) {
+      nodes.splice(o, 1);
+      c--;
+    }
+    if (closer.count === 0) {
+      nodes.splice(c, 1);
+    }
+  }
+
+  // 剩餘未配對的符號還原為文字
+  for (let k = 0; k < nodes.length; k++) {
+    if (nodes[k].type === 'delim') {
+      nodes[k] = { type: 'text', value: nodes[k].char.repeat(nodes[k].count) };
+    }
+  }
+}
+
+/**
+ * 取得行內節點的純文字（圖片 alt 使用）
+ * @param {object[]} nodes - 行內節點
+ * @returns {string}
+ */
+function mdPlainText(nodes) {
+  return nodes.map((n) => {
+    if (n.children) return mdPlainText(n.children);
+    if (n.type === 'image') return n.alt;
+    if (n.type === 'br') return ' ';
+    if (n.type === 'html') return '';
+    return n.value || '';
+  }).join('');
+}
+
+/**
+ * 行內節點輸出 HTML
+ * @param {object[]} nodes - 行內節點
+ * @returns {string}
+ */
+function renderInline(nodes) {
+  return nodes.map((n) => {
+    switch (n.type) {
+      case 'text':
+        return mdEscape(n.value);
+      case 'html':
+        return n.value;
+      case 'code':
+        return `<code>${mdEscape(n.value)}</code>`;
+      case 'br':
+        return '<br>';
+      case 'em':
+      case 'strong':
+      case 'del':
+        return `<${n.type}>${renderInline(n.children)}</${n.type}>`;
+      case 'link': {
+        const title = n.title ? ` title="${mdEscape(n.title)}"` : '';
+        // mailto: / tel: 交給系統程式處理，不另開分頁
+        const target = /^(?:mailto|tel):/i.test(n.href) ? '' : ' target="_blank"';
+        // 自動連結的文字就是網址，列印時不再重複附上（見 styles.css 的 @media print）
+        const cls = n.auto ? ' class="md-autolink"' : '';
+        return `<a href="${mdEscape(n.href)}"${title}${cls}${target} rel="noopener noreferrer">${renderInline(n.children)}</a>`;
+      }
+      case 'image': {
+        const title = n.title ? ` title="${mdEscape(n.title)}"` : '';
+        return `<img src="${mdEscape(n.src)}" alt="${mdEscape(n.alt)}"${title} class="md-img">`;
+      }
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+/**
+ * 區塊節點輸出 HTML
+ * @param {object[]} blocks - 區塊節點
+ * @param {boolean} [tight=false] - 是否為緊湊列表項目（段落不包 <p>）
+ * @returns {string}
+ */
+function renderBlocks(blocks, tight = false) {
+  const inline = (text) => renderInline(parseInline(text));
+
+  return blocks.map((b) => {
+    switch (b.type) {
+      case 'paragraph':
+        return tight ? inline(b.text) : `<p>${inline(b.text)}</p>`;
+      case 'heading':
+        return `<h${b.level}>${inline(b.text)}</h${b.level}>`;
+      case 'code': {
+        const langClass = b.lang ? ` class="language-${mdEscape(b.lang)}"` : '';
+        return `<pre><code${langClass}>${mdEscape(b.text)}</code></pre>`;
+      }
+      case 'hr':
+        return '<hr>';
+      case 'blockquote':
+        return `<blockquote>${renderBlocks(b.children)}</blockquote>`;
+      case 'list': {
+        const tag = b.ordered ? 'ol' : 'ul';
+        const start = b.ordered && b.start !== 1 ? ` start="${b.start}"` : '';
+        const items = b.items.map((item) => `<li>${renderBlocks(item.children, !b.loose)}</li>`).join('');
+        return `<${tag}${start}>${items}</${tag}>`;
+      }
+      case 'table':
+        return parseMarkdownTables(b.lines.join('\n'), inline);
+      case 'html':
+        return b.text;
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+/**
+ * ★ Markdown 轉 HTML 函式
+ * 將 Markdown 格式的文字轉換為 HTML（區塊解析 → 行內解析 → 輸出）
+ * 
+ * 支援語法：
+ * - 段落（空行分隔，段落內換行輸出 <br>）
+ * - 標題 (h1-h6)
+ * - 粗體、斜體、刪除線（依 CommonMark 強調規則配對）
+ * - 行內程式碼與程式碼區塊（內容不做任何轉換）
+ * - 連結與圖片
+ * - 無序列表與有序列表（可巢狀，有序列表保留起始編號）
+ * - 引用區塊（可巢狀）
+ * - 水平線
+ * - 表格
+ * 
+ * @param {string} markdown - Markdown 格式的原始文字
+ * @returns {string} 轉換後的 HTML 字串
+ */
+export function markdownToHTML(markdown) {
+  if (!markdown || typeof markdown !== 'string') {
+    return '';
+  }
+
+  // 統一換行符號，行首 tab 展開為 4 個空白
+  const lines = markdown
+    .replace(/\r\n?/g, '\n')
+    .replace(/^[ \t]+/gm, (ws) => ws.replace(/\t/g, '    '))
+    .split('\n');
+
+  return renderBlocks(parseBlocks(lines));
+}
+
+/**
+ * 取得串流中「可安全渲染」的文字
+ * 尚未完成的結構先不顯示，避免畫面閃出錯誤的 HTML：
+ * - 最後一行尚未收完且看起來是區塊開頭（圍欄、表格、標題、列表…）
+ * - 結尾的表格行還沒等到分隔行（此時無法判斷是否為表格）
+ * - 程式碼區塊未關閉時照常顯示內容，但暫不顯示收到一半的結尾圍欄
+ * 
+ * @param {string} text - 目前累積的回覆文字
+ * @returns {string} 可交給 processReplyContent 的文字
+ */
+export function stableStreamingText(text) {
+  if (!text) return "";
+
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  let tail = lines.pop(); // 最後一行可能還沒收完
+
+  // 判斷是否位於未關閉的程式碼區塊中
+  let fence = null;
+  for (const line of lines) {
+    const m = MD_FENCE_RE.exec(line);
+    if (!m) continue;
+    if (!fence) fence = m[2];
+    else if (m[2][0] === fence[0] && m[2].length >= fence.length && !m[3] && !m[4].trim()) fence = null;
+  }
+
+  if (fence) {
+    if (/^ {0,3}(`|~)/.test(tail)) tail = "";
+    return [...lines, tail].join("\n");
+  }
+
+  if (/^\s*(`|~|\||#|>|[-*+_]|\d+[.)]?\s*$|\d+[.)]\s)/.test(tail) || tail.includes("|")) {
+    tail = "";
+  }
+
+  // 結尾連續的表格行若還沒有分隔行，先暫不顯示
+  let k = lines.length;
+  while (k > 0 && !mdIsBlank(lines[k - 1]) && isTableRow(lines[k - 1])) k--;
+  if (k < lines.length && !lines.slice(k).some(isSeparatorRow)) {
+    return lines.slice(0, k).join("\n");
+  }
+
+  return [...lines, tail].join("\n");
+}
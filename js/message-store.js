@@ -0,0 +1,297 @@
+/**
+ * 對話紀錄的儲存與讀取（IndexedDB，備援 localStorage）
+ * 負責格式版本升級、欄位檢查與容量裁切；不依賴 DOM
+ */
+
+import { randomUUID, uid } from "./util.js";
+
+/** @typedef {{id:string, role:'user'|'assistant', text:string, ts:number, isHtml?:boolean, welcome?:boolean, quickReplies?:object[], buttons?:object[], cards?:object[], replyTo?:string, feedback?:{rating:'up'|'down', reason?:string, comment?:string, ts:number}}} ChatMessage */
+/** @typedef {{id:string, title:string, conversationId:string, createdAt:number, updatedAt:number, messages:ChatMessage[]}} ChatThread */
+
+/* =========================
+   ★ 對話紀錄永續化
+   - 以 clientId 為鍵存入 IndexedDB；不支援或開啟失敗時改用 localStorage
+   - 紀錄格式：{ clientId, schema, updatedAt, activeThreadId, threads }
+   - schema 為版本號，讀取舊版紀錄時依 HISTORY_MIGRATIONS 逐版升級
+   - 訊息只檢查必要欄位，未知欄位原樣保留，新版程式寫入的資料舊版也讀得動
+   - 每個對話串只保留最後 HISTORY_MAX_MESSAGES 則，最多 HISTORY_MAX_THREADS 個，
+     且序列化後不超過 HISTORY_MAX_BYTES
+   ========================= */
+
+/** 目前的紀錄格式版本 */
+export const HISTORY_SCHEMA_VERSION = 2;
+/** 每個對話串最多保留的訊息數 */
+const HISTORY_MAX_MESSAGES = 200;
+/** 最多保留的對話串數 */
+const HISTORY_MAX_THREADS = 30;
+/** 序列化後的大小上限（localStorage 容量約 5MB，需與其他資料共用） */
+const HISTORY_MAX_BYTES = 512 * 1024;
+/** 寫入前的等待時間（連續變動只寫一次） */
+export const HISTORY_SAVE_DELAY = 400;
+
+const HISTORY_DB_NAME = "fourleaf_chat";
+const HISTORY_STORE = "conversations";
+const HISTORY_LS_PREFIX = "fourleaf_history_";
+
+/**
+ * 各版本的升級函式：key 為「舊版本號」，回傳下一版的紀錄
+ * （第 0 版為尚未加上 schema 欄位、直接存訊息陣列的紀錄）
+ * @type {Record<number, (record: object, clientId: string) => object>}
+ */
+const HISTORY_MIGRATIONS = {
+  0: (record) => ({
+    clientId: record.clientId,
+    schema: 1,
+    updatedAt: Date.now(),
+    messages: Array.isArray(record) ? record : record.messages || [],
+  }),
+  // 第 1 版只有單一對話：轉為一個對話串，沿用 clientId 當 conversationId 以延續後端脈絡
+  1: (record, clientId) => {
+    const id = uid();
+    const list = Array.isArray(record.messages) ? record.messages : [];
+    return {
+      clientId: record.clientId,
+      schema: 2,
+      updatedAt: record.updatedAt || Date.now(),
+      activeThreadId: id,
+      threads: [{
+        id,
+        title: "",
+        conversationId: record.clientId || clientId,
+        createdAt: (list[0] && list[0].ts) || Date.now(),
+        updatedAt: record.updatedAt || Date.now(),
+        messages: list,
+      }],
+    };
+  },
+};
+
+/** IndexedDB 連線（延遲建立，失敗時為 null） */
+let historyDBPromise = null;
+
+/**
+ * 開啟 IndexedDB（僅開啟一次）
+ * @returns {Promise<IDBDatabase|null>} 不可用時回傳 null
+ */
+function openHistoryDB() {
+  if (historyDBPromise) return historyDBPromise;
+
+  historyDBPromise = new Promise((resolve) => {
+    if (typeof indexedDB === "undefined") {
+      resolve(null);
+      return;
+    }
+    try {
+      const req = indexedDB.open(HISTORY_DB_NAME, 1);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(HISTORY_STORE, { keyPath: "clientId" });
+      };
+      req.onsuccess = () => resolve(req.result);
+      // 無痕模式等情況可能拒絕開啟，改用 localStorage
+      req.onerror = () => resolve(null);
+      req.onblocked = () => resolve(null);
+    } catch {
+      resolve(null);
+    }
+  });
+
+  return historyDBPromise;
+}
+
+/**
+ * 在 IndexedDB 的 store 上執行單一請求
+ * @param {IDBDatabase} db - 資料庫
+ * @param {IDBTransactionMode} mode - "readonly" | "readwrite"
+ * @param {(store: IDBObjectStore) => IDBRequest} fn - 要執行的操作
+ * @returns {Promise<*>} 請求結果
+ */
+function idbRequest(db, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(HISTORY_STORE, mode);
+    const req = fn(tx.objectStore(HISTORY_STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * 檢查並整理單則儲存的訊息；不合格則回傳 null
+ * @param {*} m - 儲存的訊息
+ * @returns {object|null}
+ */
+export function normalizeStoredMessage(m) {
+  if (!m || typeof m !== "object") return null;
+  if (m.role !== "user" && m.role !== "assistant") return null;
+  if (typeof m.text !== "string") return null;
+
+  // 保留未知欄位，只補齊必要欄位並去掉暫時狀態
+  const { streaming, ...rest } = m;
+  return {
+    ...rest,
+    id: typeof m.id === "string" && m.id ? m.id : uid(),
+    ts: Number.isFinite(m.ts) ? m.ts : Date.now(),
+    isHtml: m.role === "assistant",
+  };
+}
+
+/**
+ * 檢查並整理單一儲存的對話串；不合格則回傳 null
+ * @param {*} t - 儲存的對話串
+ * @returns {ChatThread|null}
+ */
+export function normalizeStoredThread(t) {
+  if (!t || typeof t !== "object" || !Array.isArray(t.messages)) return null;
+
+  const list = t.messages.map(normalizeStoredMessage).filter(Boolean);
+  return {
+    ...t,
+    id: typeof t.id === "string" && t.id ? t.id : uid(),
+    title: typeof t.title === "string" ? t.title : "",
+    conversationId: typeof t.conversationId === "string" && t.conversationId ? t.conversationId : randomUUID(),
+    createdAt: Number.isFinite(t.createdAt) ? t.createdAt : Date.now(),
+    updatedAt: Number.isFinite(t.updatedAt) ? t.updatedAt : Date.now(),
+    messages: list,
+  };
+}
+
+/**
+ * 將任意版本的紀錄升級為目前版本，並回傳整理後的對話串
+ * @param {*} record - 儲存的紀錄
+ * @param {string} [clientId] - 紀錄所屬的 clientId（舊版紀錄可能沒有）
+ * @returns {{threads: ChatThread[], activeThreadId: string}}
+ */
+export function migrateHistory(record, clientId = "") {
+  if (!record) return { threads: [], activeThreadId: "" };
+
+  let current = record;
+  let version = Array.isArray(current) ? 0 : Number(current.schema) || 0;
+  while (version < HISTORY_SCHEMA_VERSION && HISTORY_MIGRATIONS[version]) {
+    current = HISTORY_MIGRATIONS[version](current, clientId);
+    version = current.schema;
+  }
+
+  // 比目前新的版本：盡量讀取共同欄位
+  const list = Array.isArray(current.threads) ? current.threads : [];
+  return {
+    threads: list.map(normalizeStoredThread).filter(Boolean),
+    activeThreadId: typeof current.activeThreadId === "string" ? current.activeThreadId : "",
+  };
+}
+
+/**
+ * 依數量與大小上限裁切對話串（由最久沒更新的對話串、最舊的訊息開始丟）
+ * @param {ChatThread[]} list - 對話串
+ * @returns {ChatThread[]} 裁切後的對話串（不修改原陣列）
+ */
+export function capHistory(list) {
+  const capped = list
+    .slice()
+    .sort((x, y) => y.updatedAt - x.updatedAt)
+    .slice(0, HISTORY_MAX_THREADS)
+    .map((t) => ({ ...t, messages: t.messages.slice(-HISTORY_MAX_MESSAGES) }));
+
+  while (JSON.stringify(capped).length > HISTORY_MAX_BYTES) {
+    // 從最久沒更新且還有多則訊息的對話串開始裁切
+    const victim = capped.slice().reverse().find((t) => t.messages.length > 1);
+    if (!victim) break;
+    victim.messages = victim.messages.slice(Math.ceil(victim.messages.length / 10));
+  }
+  return capped;
+}
+
+/**
+ * 讀取 localStorage 備援紀錄（IndexedDB 失敗時寫入的）
+ * @param {string} clientId
+ * @returns {object|null}
+ */
+function readFallbackRecord(clientId) {
+  try {
+    const raw = localStorage.getItem(HISTORY_LS_PREFIX + clientId);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 刪除 localStorage 備援紀錄
+ * @param {string} clientId
+ */
+function removeFallbackRecord(clientId) {
+  try {
+    localStorage.removeItem(HISTORY_LS_PREFIX + clientId);
+  } catch {
+    // localStorage 不可用時本來也沒有備援紀錄
+  }
+}
+
+/**
+ * 讀取 clientId 的對話紀錄
+ * IndexedDB 沒有紀錄、或 localStorage 備援紀錄比較新時（IndexedDB 曾經寫入失敗），
+ * 改用備援紀錄並搬回 IndexedDB
+ * @param {string} clientId
+ * @returns {Promise<{threads: ChatThread[], activeThreadId: string}>}
+ */
+export async function loadHistory(clientId) {
+  const fallback = readFallbackRecord(clientId);
+  const db = await openHistoryDB();
+  if (db) {
+    try {
+      const record = await idbRequest(db, "readonly", (store) => store.get(clientId));
+      if (!fallback) return migrateHistory(record, clientId);
+      if (record && (Number(record.updatedAt) || 0) >= (Number(fallback.updatedAt) || 0)) {
+        removeFallbackRecord(clientId);
+        return migrateHistory(record, clientId);
+      }
+
+      // saveHistory 寫入 IndexedDB 成功後會刪除備援紀錄
+      const history = migrateHistory(fallback, clientId);
+      await saveHistory(clientId, history);
+      return history;
+    } catch {
+      // IndexedDB 讀取失敗：改用 localStorage 的備援紀錄
+    }
+  }
+
+  return migrateHistory(fallback, clientId);
+}
+
+/**
+ * 寫入對話紀錄（串流中的訊息不寫入）
+ * @param {string} clientId
+ * @param {{threads: ChatThread[], activeThreadId: string}} state - 目前的對話串
+ * @returns {Promise<void>}
+ */
+export async function saveHistory(clientId, { threads, activeThreadId }) {
+  const record = {
+    clientId,
+    schema: HISTORY_SCHEMA_VERSION,
+    updatedAt: Date.now(),
+    activeThreadId,
+    threads: capHistory(
+      threads.map((t) => ({
+        ...t,
+        messages: t.messages.filter((m) => !m.streaming).map(normalizeStoredMessage).filter(Boolean),
+      }))
+    ),
+  };
+
+  const db = await openHistoryDB();
+  if (db) {
+    try {
+      await idbRequest(db, "readwrite", (store) => store.put(record));
+      // 寫入成功後備援紀錄已過時
+      removeFallbackRecord(clientId);
+      return;
+    } catch {
+      // IndexedDB 寫入失敗：改寫入 localStorage
+    }
+  }
+
+  try {
+    localStorage.setItem(HISTORY_LS_PREFIX + clientId, JSON.stringify(record));
+  } catch {
+    // 容量不足時放棄本次寫入，不影響聊天
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * 回覆文字的標點整理
+ * 作用在清理後的 DOM 上（reply-pipeline.js 的 punctuation 外掛），
+ * 連結（含自動連結的網址）、程式碼、行內程式碼與表格都不會被改寫
+ */
+
+/** 中日文字（不含全形標點） */
+const CJK_CHAR = "[\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}]";
+
+/** 半形 → 全形標點 */
+const FULLWIDTH_MAP = { ",": "，", "!": "！", ":": "：", ";": "；", "?": "？" };
+
+/* =========================
+   ★ 標點規則（宣告式，依陣列順序套用）
+   - id：規則名稱，config.json 以此開關（profiles.<env>.punctuation）
+   - enabled：預設是否啟用
+   - pattern：需帶 g 旗標；比對範圍是同一個區塊（段落、標題、列表項目）內的文字，
+     區塊內的 <br> 為 "\n"，連結、程式碼、圖片等不可改寫的內容以 "￼" 代表
+   - replace：取代字串（可用 $1…）或函式（參數同 String.prototype.replace）
+   - 取代結果中的 "\n" 會輸出為 <br>
+   ========================= */
+export const PUNCTUATION_RULES = [
+  {
+    id: "fullwidth-punctuation",
+    description: "中日文後的半形 , ! : ; ? 改為全形",
+    enabled: true,
+    pattern: new RegExp(`(?<=${CJK_CHAR})[,!:;?](?![,!:;?.])`, "gu"),
+    replace: (m) => FULLWIDTH_MAP[m],
+  },
+  {
+    id: "trailing-question",
+    description: "行尾的 ? / ？ 直接移除",
+    enabled: true,
+    pattern: /[?？]+[ \t]*(?=\n|$)/g,
+    replace: "",
+  },
+  {
+    id: "question-break",
+    description: "句中的 ? / ？ 移除並換行（後面接右括號或引號時不動）",
+    enabled: true,
+    pattern: /[?？]+[ \t]*(?=[^\s」』）)\]】》〉"'”’])/g,
+    replace: "\n",
+  },
+];
+
+/**
+ * 取得要套用的規則
+ * @param {Object<string, boolean>} [overrides] - 依規則 id 覆寫 enabled（未列出者用預設值）
+ * @returns {object[]} 啟用中的規則
+ */
+export function selectPunctuationRules(overrides = {}) {
+  return PUNCTUATION_RULES.filter((rule) =>
+    typeof overrides[rule.id] === "boolean" ? overrides[rule.id] : rule.enabled
+  );
+}
+
+/**
+ * 對一個區塊的文字片段套用標點規則
+ * - 比對結果只要碰到 locked 片段就整筆略過
+ * - 取代文字放進比對起點所在的片段，跨片段時其餘片段的字元直接移除
+ *
+ * @param {{text:string, locked:boolean}[]} segments - 依序排列的文字片段
+ * @param {object[]} rules - selectPunctuationRules() 的結果
+ * @returns {string[]} 與 segments 一一對應的新文字（locked 片段原樣回傳）
+ */
+export function applyPunctuation(segments, rules) {
+  let parts = segments.map((s) => s.text);
+
+  for (const rule of rules) {
+    // 每個字元屬於哪個片段
+    const owner = [];
+    parts.forEach((part, i) => {
+      for (let c = 0; c < part.length; c++) owner.push(i);
+    });
+    const joined = parts.join("");
+    const next = parts.map(() => "");
+    let pos = 0;
+
+    for (const m of joined.matchAll(rule.pattern)) {
+      const start = m.index;
+      const end = start + m[0].length;
+      if (end === start || start < pos) continue;
+      if (owner.slice(start, end).some((i) => segments[i].locked)) continue;
+
+      for (; pos < start; pos++) next[owner[pos]] += joined[pos];
+      next[owner[start]] += typeof rule.replace === "function"
+        ? rule.replace(...m, m.index, joined)
+        : rule.replace.replace(/\$(\d)/g, (_, g) => m[g] ?? "");
+      pos = end;
+    }
+    for (; pos < joined.length; pos++) next[owner[pos]] += joined[pos];
+
+    // locked 片段一律保持原樣
+    parts = next.map((text, i) => (segments[i].locked ? segments[i].text : text));
+  }
+
+  return parts;
+}
+
+/* =========================
+   ★ 套用到 DOM
+   - 區塊元素（段落、標題、列表項目…）各自為一個比對範圍，子區塊另外處理
+   - 粗體、斜體等行內元素照常往內處理
+   ========================= */
+
+/** 各自為一個比對範圍的區塊元素 */
+const BLOCK_TAGS = new Set(["P", "LI", "H1", "H2", "H3", "H4", "H5", "H6", "BLOCKQUOTE", "DIV", "UL", "OL", "HR"]);
+/** 內容不可改寫的元素 */
+const LOCKED_TAGS = new Set(["A", "CODE", "PRE", "TABLE", "IMG"]);
+/** Node.TEXT_NODE / ELEMENT_NODE（Node 環境不一定有全域的 Node） */
+const TEXT_NODE = 3;
+const ELEMENT_NODE = 1;
+
+/**
+ * 收集一個區塊的文字片段
+ * @param {Node} block - 區塊元素或 DocumentFragment
+ * @param {Element[]} nested - 收集途中遇到的子區塊（之後另外處理）
+ * @returns {{segments: {text:string, locked:boolean}[], textNodes: (Text|null)[]}}
+ */
+function collectSegments(block, nested) {
+  const segments = [];
+  const textNodes = [];
+  const push = (text, locked, node = null) => {
+    segments.push({ text, locked });
+    textNodes.push(node);
+  };
+  const walk = (parent) => {
+    for (const node of parent.childNodes) {
+      if (node.nodeType === TEXT_NODE) {
+        push(node.data, false, node);
+      } else if (node.nodeType !== ELEMENT_NODE) {
+        continue;
+      } else if (node.tagName === "BR") {
+        push("\n", true);
+      } else if (LOCKED_TAGS.has(node.tagName)) {
+        push("\uFFFC", true);
+      } else if (BLOCK_TAGS.has(node.tagName)) {
+        // 子區塊視為斷行
+        nested.push(node);
+        push("\n", true);
+      } else {
+        walk(node);
+      }
+    }
+  };
+  walk(block);
+  return { segments, textNodes };
+}
+
+/**
+ * 對清理後的回覆 DOM 套用標點規則（直接修改）
+ * @param {DocumentFragment|Element} root - 回覆內容
+ * @param {object[]} rules - selectPunctuationRules() 的結果
+ */
+export function punctuateFragment(root, rules) {
+  if (!rules.length) return;
+
+  const queue = [root];
+  while (queue.length) {
+    const block = queue.shift();
+    const { segments, textNodes } = collectSegments(block, queue);
+    if (!segments.some((s) => !s.locked)) continue;
+
+    const out = applyPunctuation(segments, rules);
+    out.forEach((text, i) => {
+      const node = textNodes[i];
+      if (!node || text === node.data) return;
+      // 規則插入的 "\n" 輸出為 <br>
+      const doc = node.ownerDocument;
+      const parts = text.split("\n").flatMap((part, k) => (k ? [doc.createElement("br"), part] : [part]));
+      node.replaceWith(...parts.filter((part) => part !== ""));
+    });
+  }
+}
@@ -0,0 +1,353 @@
+/**
+ * 朗讀機器人回覆：speechSynthesis
+ * 朗讀文字由處理後的回覆 HTML 產生（與畫面相同），不逐字念出 Markdown 符號；同一時間只朗讀一則
+ */
+
+import { t } from "./i18n.js";
+
+/* =========================
+   ★ 朗讀文字
+   - 段落、標題、列表項目各自成句；<br> 視為停頓
+   - 表格逐列念成「欄名：內容」
+   - 連結念連結文字；文字本身是網址時只念網域（Email、電話照念）
+   - 程式碼區塊不念內容，以「（程式碼略過）」帶過；圖片念替代文字
+   - 殘留的 Markdown 符號（* # | > ` ~ 與 --- 等分隔線）移除
+   - 快速回覆、連結按鈕與卡片接在內文之後
+   ========================= */
+
+/** 一次送給 speechSynthesis 的字數上限（部分瀏覽器朗讀太長的句子會中斷） */
+const SPEECH_CHUNK_MAX = 180;
+
+/** 各自成句的區塊元素 */
+const SPEECH_BLOCK_TAGS = new Set(["P", "DIV", "LI", "H1", "H2", "H3", "H4", "H5", "H6", "BLOCKQUOTE", "UL", "OL"]);
+
+/**
+ * 網址只留網域
+ * @param {string} url
+ * @returns {string}
+ */
+function speakableHost(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * 整理一段文字：去掉 Markdown 符號與裸網址，合併空白
+ * @param {string} text
+ * @returns {string}
+ */
+function cleanSpeechText(text) {
+  return text
+    .replace(/https?:\/\/[^\s<>"'）)]+/gi, (url) => t("speechLink", { host: speakableHost(url) }))
+    .replace(/([-=_*~])\1{2,}/g, " ")
+    .replace(/[*#|>`~]+/g, " ")
+    .replace(/[ \t　]+/g, " ")
+    .trim();
+}
+
+/**
+ * 句尾補上停頓（已有句末標點則不補）
+ * @param {string} text
+ * @returns {string}
+ */
+function endSentence(text) {
+  return /[。．.!?！？:：;；]$/.test(text) ? text : `${text}${t("speechPause")}`;
+}
+
+/**
+ * 表格念成「欄名：內容」，一列一句
+ * @param {HTMLTableElement} table
+ * @returns {string[]}
+ */
+function tableToSpeech(table) {
+  const rows = [...table.querySelectorAll("tr")];
+  const headerRow = table.querySelector("thead tr") || rows[0];
+  const headers = headerRow ? [...headerRow.children].map((cell) => cleanSpeechText(cell.textContent)) : [];
+  return rows.filter((row) => row !== headerRow).map((row) => endSentence(
+    [...row.children]
+      .map((cell, i) => {
+        const value = cleanSpeechText(cell.textContent);
+        return headers[i] && value ? `${headers[i]}${t("speechFieldSep")}${value}` : value;
+      })
+      .filter(Boolean)
+      .join(t("speechListSep"))
+  ));
+}
+
+/**
+ * 處理後的回覆 HTML 轉為朗讀用的句子
+ * @param {TrustedHTML|string} html - 與畫面相同的回覆 HTML
+ * @returns {string[]}
+ */
+export function replyToSpeech(html) {
+  const template = document.createElement("template");
+  template.innerHTML = html;
+
+  const sentences = [];
+  let buf = "";
+  const flush = () => {
+    const text = cleanSpeechText(buf);
+    if (text) sentences.push(endSentence(text));
+    buf = "";
+  };
+  const walk = (parent) => {
+    for (const node of parent.childNodes) {
+      if (node.nodeType === 3) {
+        buf += node.data;
+        continue;
+      }
+      if (node.nodeType !== 1) continue;
+      const tag = node.tagName;
+      if (tag === "BR") {
+        flush();
+      } else if (tag === "TABLE") {
+        flush();
+        sentences.push(...tableToSpeech(node));
+      } else if (tag === "PRE") {
+        flush();
+        sentences.push(t("speechCodeSkipped"));
+      } else if (tag === "IMG") {
+        const alt = node.getAttribute("alt");
+        if (alt) buf += ` ${t("speechImage", { alt })} `;
+      } else if (tag === "A") {
+        const label = node.textContent.trim();
+        const href = node.getAttribute("href") || "";
+        // 文字就是網址時只念網域；mailto: / tel: 念原本的文字
+        buf += /^https?:/i.test(label) ? t("speechLink", { host: speakableHost(href || label) }) : label;
+      } else if (tag === "HR") {
+        flush();
+      } else if (SPEECH_BLOCK_TAGS.has(tag)) {
+        flush();
+        walk(node);
+        flush();
+      } else {
+        walk(node);
+      }
+    }
+  };
+  walk(template.content);
+  flush();
+  return sentences;
+}
+
+/**
+ * 快速回覆、連結按鈕與卡片的朗讀句子
+ * @param {{quickReplies?:{label:string}[], buttons?:{label:string}[], cards?:{title:string, body?:string}[]}} m
+ * @returns {string[]}
+ */
+export function richToSpeech(m) {
+  const sentences = [];
+  for (const card of m.cards || []) {
+    sentences.push(endSentence([card.title, card.body].filter(Boolean).map(cleanSpeechText).join(t("speechListSep"))));
+  }
+  if (m.buttons?.length) {
+    sentences.push(endSentence(t("speechButtons", { items: m.buttons.map((b) => b.label).join(t("speechListSep")) })));
+  }
+  if (m.quickReplies?.length) {
+    sentences.push(endSentence(t("speechQuickReplies", { items: m.quickReplies.map((r) => r.label).join(t("speechListSep")) })));
+  }
+  return sentences;
+}
+
+/**
+ * 把句子合併成不超過 SPEECH_CHUNK_MAX 的段落（太長的句子依標點或長度切開）
+ * @param {string[]} sentences
+ * @returns {string[]}
+ */
+function chunkSentences(sentences) {
+  const pieces = sentences.flatMap((s) => {
+    if (s.length <= SPEECH_CHUNK_MAX) return [s];
+    const parts = s.match(/[^，,、；;]+[，,、；;]?/g) || [s];
+    return parts.flatMap((p) => p.match(new RegExp(`[\\s\\S]{1,${SPEECH_CHUNK_MAX}}`, "g")) || []);
+  });
+  const chunks = [];
+  for (const piece of pieces) {
+    const lastIndex = chunks.length - 1;
+    if (lastIndex >= 0 && chunks[lastIndex].length + piece.length + 1 <= SPEECH_CHUNK_MAX) chunks[lastIndex] += ` ${piece}`;
+    else chunks.push(piece);
+  }
+  return chunks;
+}
+
+/* =========================
+   ★ 播放控制
+   - 同一時間只朗讀一則；開始新的朗讀會停止目前的
+   - 狀態：idle / playing / paused，變動時通知 onReadAloudChange 的監聽者
+   - 聲音依語言挑選：完全相同（zh-TW）優先，其次同語言（zh-*）；都沒有時只設定 lang 交給瀏覽器
+   - 聲音清單快取並隨 voiceschanged 更新（Chrome 載入頁面後清單常是空的）；
+     開始朗讀時清單仍是空的，先等 voiceschanged（最多 VOICES_WAIT_MS）再念
+   ========================= */
+
+/** 等待聲音清單載入的上限 */
+const VOICES_WAIT_MS = 1500;
+
+/** @type {{id:string, state:"playing"|"paused"}|null} 目前朗讀的訊息 */
+let current = null;
+/** 每次開始朗讀遞增，舊的 utterance 事件據此忽略 */
+let session = 0;
+/** @type {Set<() => void>} 狀態變動監聽者 */
+const listeners = new Set();
+/** @type {SpeechSynthesisVoice[]} 聲音清單快取 */
+let voices = [];
+
+/**
+ * 瀏覽器是否支援朗讀
+ * @returns {boolean}
+ */
+export function isReadAloudSupported() {
+  return Boolean(globalThis.speechSynthesis) && typeof globalThis.SpeechSynthesisUtterance === "function";
+}
+
+/**
+ * 監聽朗讀狀態變動
+ * @param {() => void} listener
+ * @returns {() => void} 取消監聽
+ */
+export function onReadAloudChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * 設定目前狀態並通知監聽者
+ * @param {{id:string, state:"playing"|"paused"}|null} next
+ */
+function setCurrent(next) {
+  current = next;
+  for (const listener of listeners) listener();
+}
+
+/**
+ * 指定訊息的朗讀狀態
+ * @param {string} id - 訊息 id
+ * @returns {"idle"|"playing"|"paused"}
+ */
+export function readAloudState(id) {
+  return current?.id === id ? current.state : "idle";
+}
+
+/**
+ * 重新讀取聲音清單
+ */
+function loadVoices() {
+  voices = speechSynthesis.getVoices();
+}
+
+if (isReadAloudSupported()) {
+  loadVoices();
+  speechSynthesis.addEventListener?.("voiceschanged", loadVoices);
+}
+
+/**
+ * 等待聲音清單載入（已有清單時立即完成；逾時則以空清單繼續）
+ * @returns {Promise<void>}
+ */
+function voicesReady() {
+  if (voices.length) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      speechSynthesis.removeEventListener?.("voiceschanged", done);
+      loadVoices();
+      resolve();
+    };
+    const timer = setTimeout(done, VOICES_WAIT_MS);
+    speechSynthesis.addEventListener?.("voiceschanged", done);
+  });
+}
+
+/**
+ * 依語言挑選聲音
+ * @param {string} lang - BCP 47，例如 zh-TW
+ * @returns {SpeechSynthesisVoice|null}
+ */
+function pickVoice(lang) {
+  const lower = lang.toLowerCase();
+  const base = lower.split("-")[0];
+  return voices.find((v) => v.lang.toLowerCase().replace("_", "-") === lower) ||
+    voices.find((v) => v.lang.toLowerCase().split(/[-_]/)[0] === base) ||
+    null;
+}
+
+/**
+ * 朗讀一則訊息（會停止目前的朗讀）
+ * 聲音清單已載入時同步開始（iOS 需在點擊事件內呼叫 speak）；尚未載入時等清單載入後再念
+ * @param {string} id - 訊息 id
+ * @param {string[]} sentences - replyToSpeech / richToSpeech 的結果
+ * @param {string} lang - BCP 47 語言代碼
+ */
+export function startReadAloud(id, sentences, lang) {
+  stopReadAloud();
+  const chunks = chunkSentences(sentences.filter(Boolean));
+  if (!chunks.length) return;
+
+  const mySession = ++session;
+  setCurrent({ id, state: "playing" });
+  if (voices.length) {
+    speakChunks(chunks, lang, mySession);
+  } else {
+    voicesReady().then(() => {
+      if (session === mySession) speakChunks(chunks, lang, mySession);
+    });
+  }
+}
+
+/**
+ * 把段落依序排入 speechSynthesis
+ * @param {string[]} chunks - chunkSentences 的結果
+ * @param {string} lang - BCP 47 語言代碼
+ * @param {number} mySession - 這次朗讀的 session
+ */
+function speakChunks(chunks, lang, mySession) {
+  const voice = pickVoice(lang);
+  chunks.forEach((text, i) => {
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = lang;
+    if (voice) utterance.voice = voice;
+    if (i === chunks.length - 1) {
+      utterance.onend = () => {
+        if (session === mySession) setCurrent(null);
+      };
+    }
+    utterance.onerror = (e) => {
+      if (session !== mySession || e.error === "canceled" || e.error === "interrupted") return;
+      // 朗讀失敗：回到未朗讀狀態，使用者可再按一次
+      stopReadAloud();
+    };
+    speechSynthesis.speak(utterance);
+  });
+}
+
+/**
+ * 播放 / 暫停切換：正在朗讀這則則暫停，暫停中則繼續
+ * @param {string} id - 訊息 id
+ * @param {() => string[]} getSentences - 需要從頭朗讀時才呼叫
+ * @param {string} lang - BCP 47 語言代碼
+ */
+export function toggleReadAloud(id, getSentences, lang) {
+  const state = readAloudState(id);
+  if (state === "playing") {
+    speechSynthesis.pause();
+    setCurrent({ id, state: "paused" });
+  } else if (state === "paused") {
+    speechSynthesis.resume();
+    setCurrent({ id, state: "playing" });
+  } else {
+    startReadAloud(id, getSentences(), lang);
+  }
+}
+
+/**
+ * 停止朗讀
+ */
+export function stopReadAloud() {
+  if (!isReadAloudSupported()) return;
+  session++;
+  speechSynthesis.cancel();
+  // 暫停中 cancel 後，部分瀏覽器需要 resume 才能再朗讀
+  speechSynthesis.resume();
+  if (current) setCurrent(null);
+}
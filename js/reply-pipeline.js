@@ -0,0 +1,180 @@
+/**
+ * 機器人回覆的處理流程（外掛式）
+ *
+ *   回覆文字 → text 外掛（Markdown 原文）→ markdown → sanitize → dom 外掛（清理後的 DOM）→ TrustedHTML
+ *
+ * - text 外掛：run(text, context) 回傳新的文字
+ * - dom 外掛：run(fragment, context) 直接修改 DocumentFragment（也可回傳新的節點取代）
+ * - markdown / sanitize 為內建步驟，與外掛共用排序、開關與錯誤隔離
+ * - 任一步驟丟出例外時記錄錯誤並沿用上一步的結果，不會讓泡泡變成空白
+ * - dom 外掛的輸出最後會再經過一次 toTrustedHTML，外掛無法繞過清理
+ *
+ * 用法（另外寫成模組，在 app.js 匯入即可，不需修改本檔或 app.js 的流程）：
+ *   registerReplyTransform({ id: "hotline", stage: "text", order: 50, run: (text) => … });
+ */
+
+import { markdownToHTML } from "./markdown.js";
+import { sanitizeToFragment, toTrustedHTML } from "./sanitize.js";
+import { punctuateFragment, selectPunctuationRules } from "./punctuation.js";
+import { RUNTIME } from "./config.js";
+
+/**
+ * @typedef {object} ReplyTransform
+ * @property {string} id - 唯一名稱
+ * @property {"text"|"render"|"dom"} stage - 執行階段（render 只供內建步驟使用）
+ * @property {number} [order=500] - 同一階段內由小到大執行
+ * @property {boolean} [enabled=true] - 是否啟用
+ * @property {boolean} [required=false] - 不可停用、失敗時不沿用上一步結果（sanitize）
+ * @property {(value: any, context: object) => any} run - 轉換函式
+ * @property {(value: any, error: unknown) => any} [fallback] - 失敗時的替代結果（預設沿用輸入）
+ */
+
+/** 階段順序 */
+const STAGES = ["text", "render", "dom"];
+
+/** @type {ReplyTransform[]} 已註冊的步驟 */
+const transforms = [];
+
+/** 設定變動次數（供畫面判斷快取是否過期） */
+let version = 0;
+
+/**
+ * 註冊回覆處理步驟
+ * @param {ReplyTransform} transform
+ * @returns {() => void} 取消註冊
+ */
+export function registerReplyTransform(transform) {
+  const { id, stage, run } = transform || {};
+  if (!id || typeof run !== "function") throw new TypeError("registerReplyTransform：需要 id 與 run");
+  if (stage !== "text" && stage !== "dom") throw new TypeError(`registerReplyTransform：不支援的階段 ${stage}`);
+  return addTransform(transform);
+}
+
+/**
+ * 加入步驟（內建步驟可使用 render 階段）
+ * @param {ReplyTransform} transform
+ * @returns {() => void} 取消註冊
+ */
+function addTransform(transform) {
+  if (transforms.some((item) => item.id === transform.id)) {
+    throw new Error(`回覆處理步驟重複註冊：${transform.id}`);
+  }
+  const entry = { order: 500, enabled: true, required: false, ...transform };
+  transforms.push(entry);
+  transforms.sort((a, b) => STAGES.indexOf(a.stage) - STAGES.indexOf(b.stage) || a.order - b.order);
+  version++;
+
+  return () => {
+    const index = transforms.indexOf(entry);
+    if (index < 0) return;
+    transforms.splice(index, 1);
+    version++;
+  };
+}
+
+/**
+ * 開關指定步驟（下次渲染時生效）
+ * @param {string} id - 步驟名稱
+ * @param {boolean} enabled
+ * @returns {boolean} 是否有變更
+ */
+export function setReplyTransformEnabled(id, enabled) {
+  const entry = transforms.find((item) => item.id === id);
+  if (!entry || entry.required || entry.enabled === Boolean(enabled)) return false;
+  entry.enabled = Boolean(enabled);
+  version++;
+  return true;
+}
+
+/**
+ * 列出目前的步驟（依執行順序）
+ * @returns {{id:string, stage:string, order:number, enabled:boolean}[]}
+ */
+export function listReplyTransforms() {
+  return transforms.map(({ id, stage, order, enabled }) => ({ id, stage, order, enabled }));
+}
+
+/**
+ * 目前的設定版本；註冊、取消或開關步驟後會改變
+ * @returns {number}
+ */
+export function replyPipelineVersion() {
+  return version;
+}
+
+/**
+ * 執行單一步驟（錯誤隔離）
+ * @param {ReplyTransform} transform
+ * @param {any} value - 上一步的結果
+ * @param {object} context
+ * @returns {any}
+ */
+function runTransform(transform, value, context) {
+  // dom 外掛直接修改節點，失敗時需要還原
+  const snapshot = transform.stage === "dom" ? value.cloneNode(true) : value;
+  try {
+    const result = transform.run(value, context);
+    if (transform.stage === "dom") return result || value;
+    if (transform.stage === "text" && typeof result !== "string") throw new TypeError("text 外掛需回傳字串");
+    return result;
+  } catch (err) {
+    // 失敗的步驟不記錄：每則回覆都會重跑，記錄會洗版；需要時由 fallback 處理
+    if (transform.fallback) return transform.fallback(snapshot, err);
+    if (transform.required) throw err;
+    return snapshot;
+  }
+}
+
+/**
+ * 將回覆文字處理為可寫入 innerHTML 的 HTML
+ * @param {string} text - 原始回覆文字
+ * @param {object} [context] - 傳給各步驟的附加資訊（例如 { message }）
+ * @returns {TrustedHTML|string}
+ */
+export function runReplyPipeline(text, context = {}) {
+  let value = text;
+  for (const transform of transforms) {
+    if (!transform.enabled) continue;
+    value = runTransform(transform, value, context);
+  }
+
+  // render 階段的步驟被停用時，value 可能仍是字串
+  if (typeof value === "string") return toTrustedHTML(value);
+  const template = document.createElement("template");
+  template.content.append(value);
+  return toTrustedHTML(template.innerHTML);
+}
+
+/* =========================
+   ★ 內建步驟
+   - markdown（render 100）：Markdown 轉 HTML
+   - sanitize（render 200）：清理並解析為 DocumentFragment；失敗時改以純文字顯示
+   - punctuation（dom 100）：標點規則（規則開關見 config.js 的 RUNTIME.punctuation）
+   ========================= */
+
+addTransform({
+  id: "markdown",
+  stage: "render",
+  order: 100,
+  run: (text) => markdownToHTML(text),
+});
+
+addTransform({
+  id: "sanitize",
+  stage: "render",
+  order: 200,
+  required: true,
+  run: (html) => sanitizeToFragment(html),
+  fallback: (html) => {
+    const fragment = document.createDocumentFragment();
+    fragment.append(String(html));
+    return fragment;
+  },
+});
+
+addTransform({
+  id: "punctuation",
+  stage: "dom",
+  order: 100,
+  run: (fragment) => punctuateFragment(fragment, selectPunctuationRules(RUNTIME.punctuation)),
+});
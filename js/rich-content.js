@@ -0,0 +1,194 @@
+/**
+ * 結構化回覆：快速回覆、連結按鈕與卡片
+ * normalizeRichContent 只處理資料（不依賴 DOM）；renderRichContent 以 DOM API 建立元素（不使用 innerHTML）
+ */
+
+import { isSafeURL } from "./sanitize.js";
+
+/* =========================
+   ★ 回應格式（/api/chat 的 JSON，或串流事件中任一個 JSON 物件，通常放在 done 事件）
+   {
+     "text": "回覆內容（Markdown）",
+     "quickReplies": [ "報名方式", { "label": "查成績", "payload": "我要查詢成績" } ],
+     "buttons": [ { "label": "前往報名", "url": "https://…" } ],
+     "cards": [ { "title": "全程馬拉松", "image": "https://….jpg", "body": "42.195 km",
+                  "link": { "label": "看詳情", "url": "https://…" } } ]
+   }
+   - quickReplies：點選後以 payload（未提供時為 label）當作使用者訊息送出；
+     有更新的回覆後，較舊訊息的快速回覆會停用
+   - buttons：連結按鈕，另開分頁
+   - cards：title 必填；image、body、link 可省略；link 也可直接給網址字串
+   - 網址只接受 http(s)（按鈕與卡片連結另可用 mailto: / tel:），不合格的項目略過
+   - 欄位皆可省略；只有結構化內容、沒有 text 時不顯示泡泡
+   ========================= */
+
+/** 各類項目的數量上限 */
+const RICH_LIMITS = { quickReplies: 10, buttons: 5, cards: 10 };
+/** 文字長度上限（標籤 / 內文） */
+const LABEL_MAX = 40;
+const BODY_MAX = 300;
+
+/**
+ * 整理字串欄位：去掉前後空白並截斷；不是字串時回傳空字串
+ * @param {*} value
+ * @param {number} max - 長度上限
+ * @returns {string}
+ */
+function cleanText(value, max) {
+  return typeof value === "string" ? value.trim().slice(0, max) : "";
+}
+
+/**
+ * 整理連結：{ label, url } 或網址字串
+ * @param {*} link
+ * @param {string} [defaultLabel] - 沒有 label 時使用
+ * @returns {{label:string, url:string}|null}
+ */
+function cleanLink(link, defaultLabel = "") {
+  const url = cleanText(typeof link === "string" ? link : link?.url, 2048);
+  if (!url || !isSafeURL(url, "href")) return null;
+  const label = cleanText(link?.label, LABEL_MAX) || defaultLabel || url;
+  return { label, url };
+}
+
+/**
+ * 從回應資料取出結構化內容（不合格的項目略過，空陣列不回傳）
+ * @param {*} data - 後端回應或串流事件
+ * @returns {{quickReplies?: {label:string, payload:string}[], buttons?: {label:string, url:string}[], cards?: {title:string, image?:string, body?:string, link?:{label:string, url:string}}[]}}
+ */
+export function normalizeRichContent(data) {
+  const rich = {};
+  if (!data || typeof data !== "object") return rich;
+
+  const list = (key) => (Array.isArray(data[key]) ? data[key].slice(0, RICH_LIMITS[key]) : []);
+
+  const quickReplies = list("quickReplies")
+    .map((item) => {
+      const label = cleanText(typeof item === "string" ? item : item?.label, LABEL_MAX);
+      const payload = cleanText(typeof item === "string" ? item : item?.payload, BODY_MAX) || label;
+      return label ? { label, payload } : null;
+    })
+    .filter(Boolean);
+
+  const buttons = list("buttons")
+    .map((item) => (cleanText(item?.label, LABEL_MAX) ? cleanLink(item) : null))
+    .filter(Boolean);
+
+  const cards = list("cards")
+    .map((item) => {
+      const title = cleanText(item?.title, LABEL_MAX * 2);
+      if (!title) return null;
+      const card = { title };
+      const image = cleanText(item.image, 2048);
+      if (image && isSafeURL(image, "src")) card.image = image;
+      const body = cleanText(item.body, BODY_MAX);
+      if (body) card.body = body;
+      const link = item.link && cleanLink(item.link);
+      if (link) card.link = link;
+      return card;
+    })
+    .filter(Boolean);
+
+  if (quickReplies.length) rich.quickReplies = quickReplies;
+  if (buttons.length) rich.buttons = buttons;
+  if (cards.length) rich.cards = cards;
+  return rich;
+}
+
+/**
+ * 訊息是否帶有結構化內容
+ * @param {{quickReplies?:any[], buttons?:any[], cards?:any[]}} m - 訊息
+ * @returns {boolean}
+ */
+export function hasRichContent(m) {
+  return Boolean(m.quickReplies?.length || m.buttons?.length || m.cards?.length);
+}
+
+/**
+ * 建立外開連結
+ * @param {{label:string, url:string}} link
+ * @param {string} className
+ * @returns {HTMLAnchorElement}
+ */
+function createLink(link, className) {
+  const a = document.createElement("a");
+  a.className = className;
+  a.href = link.url;
+  a.textContent = link.label;
+  a.rel = "noopener noreferrer";
+  if (!/^(?:mailto|tel):/i.test(link.url)) a.target = "_blank";
+  return a;
+}
+
+/**
+ * 建立訊息下方的結構化內容
+ * @param {{quickReplies?:any[], buttons?:any[], cards?:any[]}} m - 訊息
+ * @param {(payload: string) => void} onQuickReply - 點選快速回覆時呼叫
+ * @returns {HTMLElement}
+ */
+export function renderRichContent(m, onQuickReply) {
+  const root = document.createElement("div");
+  root.className = "msg-rich";
+
+  if (m.cards?.length) {
+    const cards = document.createElement("div");
+    cards.className = "rich-cards";
+    for (const card of m.cards) {
+      const el = document.createElement("article");
+      el.className = "rich-card";
+      if (card.image) {
+        const img = document.createElement("img");
+        img.className = "rich-card-image";
+        img.src = card.image;
+        img.alt = "";
+        img.loading = "lazy";
+        el.appendChild(img);
+      }
+      const title = document.createElement("div");
+      title.className = "rich-card-title";
+      title.textContent = card.title;
+      el.appendChild(title);
+      if (card.body) {
+        const body = document.createElement("div");
+        body.className = "rich-card-body";
+        body.textContent = card.body;
+        el.appendChild(body);
+      }
+      if (card.link) el.appendChild(createLink(card.link, "rich-card-link"));
+      cards.appendChild(el);
+    }
+    root.appendChild(cards);
+  }
+
+  if (m.buttons?.length) {
+    const buttons = document.createElement("div");
+    buttons.className = "rich-buttons";
+    for (const button of m.buttons) buttons.appendChild(createLink(button, "btn btn-outline btn-sm rich-button"));
+    root.appendChild(buttons);
+  }
+
+  if (m.quickReplies?.length) {
+    const chips = document.createElement("div");
+    chips.className = "quick-replies";
+    for (const reply of m.quickReplies) {
+      const chip = document.createElement("button");
+      chip.type = "button";
+      chip.className = "chip";
+      chip.textContent = reply.label;
+      chip.addEventListener("click", () => onQuickReply(reply.payload));
+      chips.appendChild(chip);
+    }
+    root.appendChild(chips);
+  }
+
+  return root;
+}
+
+/**
+ * 啟用或停用快速回覆（有更新的回覆後停用）
+ * @param {HTMLElement} root - renderRichContent 的結果
+ * @param {boolean} enabled
+ */
+export function setQuickRepliesEnabled(root, enabled) {
+  for (const chip of root.querySelectorAll(".chip")) chip.disabled = !enabled;
+}
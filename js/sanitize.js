@@ -0,0 +1,268 @@
+/**
+ * HTML 清理與跳脫，以及 Trusted Types policy
+ * 以 document 解析 HTML：瀏覽器直接使用，Node 需先提供 DOM（例如 jsdom 的 window.document）
+ *
+ * Trusted Types（CSP 的 require-trusted-types-for 'script'）：
+ * - fourleaf-sanitize：只用來把原始字串放進惰性的 <template> 解析，結果一定再經過清理；
+ *   policy 只存在於 parseInert 的閉包內，其他程式碼無法用它產生 TrustedHTML
+ * - fourleaf-html：createHTML 即 sanitizeHTML，畫面上所有 innerHTML 都透過 toTrustedHTML 取得
+ * 不支援 Trusted Types 的環境（或 Node）直接使用字串
+ */
+
+/** Trusted Types policy 名稱（需與 index.html CSP 的 trusted-types 一致） */
+export const TRUSTED_TYPES_POLICIES = { parse: 'fourleaf-sanitize', html: 'fourleaf-html' };
+
+/** Node.ELEMENT_NODE / COMMENT_NODE（Node 環境不一定有全域的 Node） */
+const ELEMENT_NODE = 1;
+const COMMENT_NODE = 8;
+
+/** 允許的標籤清單（涵蓋 Markdown 轉換後的標籤） */
+const ALLOWED_TAGS = [
+  'b', 'i', 'u', 'strong', 'em', 'del', 'br', 'p', 'div', 'span',
+  'ul', 'ol', 'li', 'a', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'table', 'thead', 'tbody', 'tr', 'td', 'th',
+  'blockquote', 'code', 'pre', 'hr', 'img'
+];
+
+/**
+ * 連同內容整個移除的標籤
+ * 其餘不在允許清單的標籤只移除標籤本身、保留（清理後的）子節點
+ */
+const DROP_WITH_CONTENT_TAGS = [
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+  'noscript', 'noembed', 'noframes', 'template', 'textarea', 'title', 'xmp',
+  'svg', 'math', 'link', 'meta', 'base', 'form', 'input', 'button', 'select'
+];
+
+/** 允許的屬性清單（針對特定標籤，'*' 為所有標籤） */
+const ALLOWED_ATTRIBUTES = {
+  'a': ['href', 'target', 'rel', 'title'],
+  'img': ['src', 'alt', 'title', 'width', 'height'],
+  'ol': ['start'],
+  'th': ['colspan', 'rowspan'],
+  'td': ['colspan', 'rowspan'],
+  '*': ['class', 'style']
+};
+
+/** 各 URL 屬性允許的協定；沒有協定的相對網址允許（// 開頭的協定相對網址除外） */
+const ALLOWED_URL_SCHEMES = {
+  'href': ['http', 'https', 'mailto', 'tel'],
+  'src': ['http', 'https']
+};
+
+/** style 屬性允許的 CSS 屬性（index.html 的 CSP 會擋 inline style；此清單供未套用 CSP 的頁面） */
+const ALLOWED_CSS_PROPERTIES = [
+  'text-align', 'vertical-align', 'color', 'background-color',
+  'font-weight', 'font-style', 'text-decoration',
+  'width', 'height', 'max-width'
+];
+
+/** CSS 值只允許常見字元（排除跳脫、引號、註解與 url() 等函式） */
+const SAFE_CSS_VALUE_RE = /^[#a-z0-9 .,%+-]+$|^(?:rgba?|hsla?)\([0-9 .,%/-]+\)$/i;
+
+/**
+ * 去掉瀏覽器解析網址時會忽略的空白與控制字元
+ * @param {string} value - 屬性值
+ * @returns {string}
+ */
+function compactURL(value) {
+  return value.replace(/[\u0000-\u0020\u007f-\u009f]/g, '');
+}
+
+/**
+ * 是否為協定相對網址（//host/…）：看起來沒有協定，實際上會連到其他網站
+ * 瀏覽器把 http(s) 網址裡的 \ 當成 /，因此 \\、/\ 也算
+ *
+ * @param {string} value - 屬性值
+ * @returns {boolean}
+ */
+function isProtocolRelative(value) {
+  return /^[\\/]{2}/.test(compactURL(value));
+}
+
+/**
+ * 取得 URL 的協定（小寫、不含冒號）；相對網址回傳空字串
+ * 屬性值已由 HTML 解析器還原字元參照（&#106; 等），
+ * 再去掉瀏覽器解析網址時會忽略的空白與控制字元，避免「 java\tscript:」之類的繞過
+ *
+ * @param {string} value - 屬性值
+ * @returns {string}
+ */
+function urlScheme(value) {
+  const compact = compactURL(value);
+  const match = /^([a-z][a-z0-9+.-]*):/i.exec(compact);
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * 網址是否帶有允許的協定（相對網址視為不合格；供結構化回覆等需要完整網址的地方使用）
+ * @param {string} value - 網址
+ * @param {'href'|'src'} [attr='href'] - 用途，決定允許的協定
+ * @returns {boolean}
+ */
+export function isSafeURL(value, attr = 'href') {
+  return (ALLOWED_URL_SCHEMES[attr] || []).includes(urlScheme(String(value)));
+}
+
+/**
+ * 依允許清單過濾 style 屬性
+ * @param {string} style - 原始 style 屬性
+ * @returns {string} 過濾後的 style（可能為空字串）
+ */
+function sanitizeStyle(style) {
+  const kept = [];
+  for (const declaration of style.split(';')) {
+    const colon = declaration.indexOf(':');
+    if (colon < 0) continue;
+    const property = declaration.slice(0, colon).trim().toLowerCase();
+    const value = declaration.slice(colon + 1).trim();
+    if (!ALLOWED_CSS_PROPERTIES.includes(property)) continue;
+    if (!value || !SAFE_CSS_VALUE_RE.test(value)) continue;
+    kept.push(`${property}:${value}`);
+  }
+  return kept.join(';');
+}
+
+/**
+ * 清理單一允許標籤的屬性
+ * @param {Element} el - 元素
+ * @param {string} tagName - 小寫標籤名稱
+ */
+function cleanAttributes(el, tagName) {
+  const tagAllowed = ALLOWED_ATTRIBUTES[tagName] || [];
+  const globalAllowed = ALLOWED_ATTRIBUTES['*'];
+
+  for (const attr of Array.from(el.attributes)) {
+    const attrName = attr.name.toLowerCase();
+
+    // 不在允許清單（含所有 on* 事件處理器）
+    if (!tagAllowed.includes(attrName) && !globalAllowed.includes(attrName)) {
+      el.removeAttribute(attr.name);
+      continue;
+    }
+
+    // URL 屬性：協定需在允許清單內；協定相對網址會連到其他網站，一併移除
+    const schemes = ALLOWED_URL_SCHEMES[attrName];
+    if (schemes) {
+      const scheme = urlScheme(attr.value);
+      if ((scheme && !schemes.includes(scheme)) || isProtocolRelative(attr.value)) el.removeAttribute(attr.name);
+      continue;
+    }
+
+    if (attrName === 'style') {
+      const style = sanitizeStyle(attr.value);
+      if (style) el.setAttribute('style', style);
+      else el.removeAttribute('style');
+    }
+  }
+
+  // 連結一律不帶 opener 與來源資訊
+  if (tagName === 'a') {
+    el.setAttribute('rel', 'noopener noreferrer');
+  }
+}
+
+/**
+ * 遞迴清理 DOM 節點
+ * @param {Node} node - 要清理的節點
+ */
+function cleanNode(node) {
+  // 取得所有子節點的快照（避免迭代時被修改）
+  for (const child of Array.from(node.childNodes)) {
+    if (child.nodeType === COMMENT_NODE) {
+      child.remove();
+      continue;
+    }
+    if (child.nodeType !== ELEMENT_NODE) continue;
+
+    const tagName = child.tagName.toLowerCase();
+
+    if (DROP_WITH_CONTENT_TAGS.includes(tagName)) {
+      // 可執行或嵌入內容：連同內容移除，不把原始碼顯示給使用者
+      child.remove();
+    } else if (!ALLOWED_TAGS.includes(tagName)) {
+      // 其他不允許的標籤：先清理子節點，再以子節點取代標籤本身
+      cleanNode(child);
+      child.replaceWith(...Array.from(child.childNodes));
+    } else {
+      cleanAttributes(child, tagName);
+      cleanNode(child);
+    }
+  }
+}
+
+/**
+ * HTML 清理函式（允許清單制）
+ * - 只保留常見的格式化標籤與屬性
+ * - href / src 只允許 ALLOWED_URL_SCHEMES 的協定（或相對網址；// 開頭的協定相對網址不允許）
+ * - style 只保留 ALLOWED_CSS_PROPERTIES，且值不得含 url()、跳脫等
+ * - script、style、iframe 等連同內容移除；其他不允許的標籤保留文字與子元素
+ * - 所有 <a> 強制 rel="noopener noreferrer"
+ *
+ * 以 <template> 解析：內容為惰性，清理完成前不會載入圖片或觸發事件
+ *
+ * @param {string} html - 原始 HTML 字串
+ * @returns {string} 清理後的 HTML 字串
+ */
+export function sanitizeHTML(html) {
+  const template = document.createElement('template');
+  template.content.append(sanitizeToFragment(html));
+  return template.innerHTML;
+}
+
+/**
+ * 同 sanitizeHTML，但回傳清理後的 DocumentFragment（供 reply-pipeline.js 的 DOM 外掛修改）
+ * @param {string} html - 原始 HTML 字串
+ * @returns {DocumentFragment} 清理後的內容（屬於惰性的 template 文件）
+ */
+export function sanitizeToFragment(html) {
+  const content = parseInert(html);
+  cleanNode(content);
+  return content;
+}
+
+/**
+ * 把未清理的字串解析到惰性的 <template>（尚未清理，只供 sanitizeToFragment 使用）
+ * 原樣放行的 fourleaf-sanitize policy 建立並保存在這個閉包內，不對外公開
+ * @type {(html: string) => DocumentFragment}
+ */
+const parseInert = (() => {
+  /** @type {TrustedTypePolicy|null|undefined} undefined 表示尚未建立 */
+  let policy;
+  return (html) => {
+    if (policy === undefined) {
+      policy = globalThis.trustedTypes?.createPolicy?.(TRUSTED_TYPES_POLICIES.parse, { createHTML: (raw) => raw }) ?? null;
+    }
+    const template = document.createElement('template');
+    template.innerHTML = policy?.createHTML(html) ?? html;
+    return template.content;
+  };
+})();
+
+/** fourleaf-html policy（延遲建立；不支援 Trusted Types 時為 null，undefined 表示尚未建立） */
+let htmlPolicy;
+
+/**
+ * 取得可寫入 innerHTML 的 HTML（一律先經過 sanitizeHTML）
+ * @param {string} html - 未清理的 HTML
+ * @returns {TrustedHTML|string} 支援 Trusted Types 時為 TrustedHTML，否則為清理後的字串
+ */
+export function toTrustedHTML(html) {
+  if (htmlPolicy === undefined) {
+    htmlPolicy = globalThis.trustedTypes?.createPolicy?.(TRUSTED_TYPES_POLICIES.html, { createHTML: (raw) => sanitizeHTML(raw) }) ?? null;
+  }
+  return htmlPolicy?.createHTML(html) ?? sanitizeHTML(html);
+}
+
+/**
+ * 將純文字轉換為安全的 HTML（跳脫特殊字元）
+ * 用於使用者輸入的訊息，防止 XSS
+ * 
+ * @param {string} text - 原始純文字
+ * @returns {string} 跳脫後的安全字串
+ */
+export function escapeHTML(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
@@ -0,0 +1,90 @@
+/**
+ * 建議提問：歡迎訊息下方與「話題」面板中，依主題分組的常見問題
+ * 點選後由呼叫端以 sendText 送出
+ */
+
+import { getLocale, t } from "./i18n.js";
+import { RUNTIME } from "./config.js";
+
+/* =========================
+   ★ 建議提問
+   - STARTER_TOPICS：預設主題，title 與 questions 為 i18n.js 的鍵
+   - config.json 可依環境整組替換（profiles.<env>.starters，空陣列代表不顯示）：
+     [ { "title": { "zh-Hant": "報名", "en": "Registration" },
+         "questions": [ { "zh-Hant": "報名截止日是哪天？", "en": "When does registration close?" } ] } ]
+     文字可為 i18n 鍵或 { 語系: 文字 }，缺少目前語系時退回英文、再退回第一個值
+   ========================= */
+export const STARTER_TOPICS = [
+  { title: "topicRegistration", questions: ["starterDeadline"] },
+  { title: "topicRace", questions: ["starterCategories", "starterStartTimes"] },
+  { title: "topicRaceKit", questions: ["starterKitPickup"] },
+  { title: "topicRaceDay", questions: ["starterTransport", "starterBagDrop"] },
+  { title: "topicCharity", questions: ["starterDonation"] },
+];
+
+/**
+ * 取得設定中文字的目前語系版本
+ * @param {string|Object<string, string>} value - i18n 鍵或 { 語系: 文字 }
+ * @returns {string}
+ */
+function localize(value) {
+  if (typeof value === "string") return t(value);
+  if (!value || typeof value !== "object") return "";
+  return value[getLocale()] ?? value.en ?? Object.values(value)[0] ?? "";
+}
+
+/**
+ * 目前語系的建議提問（沒有內容的主題略過）
+ * @returns {{title:string, questions:string[]}[]}
+ */
+export function starterTopics() {
+  const topics = Array.isArray(RUNTIME.starters) ? RUNTIME.starters : STARTER_TOPICS;
+  return topics
+    .map((topic) => ({
+      title: localize(topic?.title),
+      questions: (Array.isArray(topic?.questions) ? topic.questions : []).map(localize).filter(Boolean),
+    }))
+    .filter((topic) => topic.questions.length);
+}
+
+/**
+ * 建立建議提問面板
+ * @param {(question: string) => void} onPick - 點選問題時呼叫
+ * @returns {HTMLElement|null} 沒有任何問題時回傳 null
+ */
+export function renderStarterPanel(onPick) {
+  const topics = starterTopics();
+  if (!topics.length) return null;
+
+  const root = document.createElement("div");
+  root.className = "starters";
+  const hint = document.createElement("div");
+  hint.className = "starters-hint";
+  hint.textContent = t("startersHint");
+  root.appendChild(hint);
+
+  for (const topic of topics) {
+    const group = document.createElement("section");
+    group.className = "starter-topic";
+    if (topic.title) {
+      const title = document.createElement("div");
+      title.className = "starter-topic-title";
+      title.textContent = topic.title;
+      group.appendChild(title);
+    }
+    const list = document.createElement("div");
+    list.className = "quick-replies";
+    for (const question of topic.questions) {
+      const chip = document.createElement("button");
+      chip.type = "button";
+      chip.className = "chip";
+      chip.textContent = question;
+      chip.addEventListener("click", () => onPick(question));
+      list.appendChild(chip);
+    }
+    group.appendChild(list);
+    root.appendChild(group);
+  }
+
+  return root;
+}
@@ -0,0 +1,151 @@
+/**
+ * 訊息時間與日期分隔線：依目前語系格式化（Intl），不依賴外部套件
+ * 時間標籤的元素由 createTimeLabel 建立，文字由 updateTimeLabel 更新（相對時間需要定期刷新）
+ */
+
+import { getLocale, t } from "./i18n.js";
+
+/* =========================
+   ★ 訊息時間
+   - 一小時內顯示相對時間（「剛剛」「5 分鐘前」），其餘顯示時刻；日期由分隔線表示
+   - 完整時間（含日期與星期）放在 title（滑鼠停留）與長按時顯示
+   - 日期分隔線：「今天」「昨天」，今年的日期省略年份
+   ========================= */
+
+/** 顯示「剛剛」的上限 */
+const JUST_NOW_MS = 60 * 1000;
+/** 顯示相對時間的上限 */
+const RELATIVE_MAX_MS = 60 * 60 * 1000;
+/** 長按多久顯示完整時間 */
+const LONG_PRESS_MS = 500;
+/** 長按後完整時間顯示多久 */
+const FULL_TIME_SHOW_MS = 3000;
+
+/**
+ * 當地日期的鍵（跨日判斷用）
+ * @param {number} ts
+ * @returns {string} 例如 "2026-10-19"
+ */
+export function dayKey(ts) {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}`;
+}
+
+/**
+ * 訊息的時間標籤文字
+ * @param {number} ts - 訊息時間
+ * @param {number} [now] - 目前時間
+ * @returns {string}
+ */
+export function formatMessageTime(ts, now = Date.now()) {
+  const diff = now - ts;
+  if (diff >= 0 && diff < JUST_NOW_MS) return t("justNow");
+  if (diff >= 0 && diff < RELATIVE_MAX_MS) {
+    return new Intl.RelativeTimeFormat(getLocale(), { numeric: "auto" }).format(-Math.floor(diff / 60000), "minute");
+  }
+  return new Date(ts).toLocaleTimeString(getLocale(), { hour: "numeric", minute: "2-digit" });
+}
+
+/**
+ * 完整時間（滑鼠停留、長按時顯示）
+ * @param {number} ts
+ * @returns {string}
+ */
+export function formatFullTime(ts) {
+  return new Date(ts).toLocaleString(getLocale(), { dateStyle: "full", timeStyle: "short" });
+}
+
+/**
+ * 日期分隔線的文字
+ * @param {number} ts - 當天第一則訊息的時間
+ * @param {number} [now] - 目前時間
+ * @returns {string}
+ */
+export function formatDaySeparator(ts, now = Date.now()) {
+  const day = dayKey(ts);
+  if (day === dayKey(now)) return t("today");
+  const yesterday = new Date(now);
+  yesterday.setDate(yesterday.getDate() - 1);
+  if (day === dayKey(yesterday.getTime())) return t("yesterday");
+
+  const sameYear = new Date(ts).getFullYear() === new Date(now).getFullYear();
+  return new Date(ts).toLocaleDateString(getLocale(), {
+    year: sameYear ? undefined : "numeric",
+    month: "long",
+    day: "numeric",
+    weekday: "short",
+  });
+}
+
+/**
+ * 建立時間標籤（<time>），長按時暫時改為顯示完整時間
+ * @returns {HTMLTimeElement}
+ */
+export function createTimeLabel() {
+  const el = document.createElement("time");
+  el.className = "msg-time";
+
+  // 觸控裝置沒有滑鼠停留：長按泡泡下方的時間顯示完整時間
+  let pressTimer = 0;
+  const cancel = () => clearTimeout(pressTimer);
+  el.addEventListener("pointerdown", (e) => {
+    if (e.pointerType === "mouse") return;
+    cancel();
+    pressTimer = setTimeout(() => {
+      el.classList.add("show-full");
+      el.textContent = el.title;
+      setTimeout(() => {
+        el.classList.remove("show-full");
+        el.textContent = el.dataset.short || "";
+      }, FULL_TIME_SHOW_MS);
+    }, LONG_PRESS_MS);
+  });
+  el.addEventListener("pointerup", cancel);
+  el.addEventListener("pointercancel", cancel);
+  el.addEventListener("pointerleave", cancel);
+  // 長按時不跳出系統選單
+  el.addEventListener("contextmenu", (e) => e.preventDefault());
+  return el;
+}
+
+/**
+ * 更新時間標籤（文字沒變就不碰 DOM）
+ * @param {HTMLTimeElement} el - createTimeLabel 的結果
+ * @param {number} ts - 訊息時間
+ * @param {number} [now] - 目前時間
+ */
+export function updateTimeLabel(el, ts, now = Date.now()) {
+  const short = formatMessageTime(ts, now);
+  const full = formatFullTime(ts);
+  if (el.dataset.short === short && el.title === full) return;
+  el.dataset.short = short;
+  el.title = full;
+  el.dateTime = new Date(ts).toISOString();
+  if (!el.classList.contains("show-full")) el.textContent = short;
+}
+
+/**
+ * 建立日期分隔線
+ * @returns {HTMLElement}
+ */
+export function createDaySeparator() {
+  const el = document.createElement("div");
+  el.className = "day-separator";
+  el.setAttribute("role", "separator");
+  const label = document.createElement("span");
+  el.appendChild(label);
+  return el;
+}
+
+/**
+ * 更新日期分隔線的文字
+ * @param {HTMLElement} el - createDaySeparator 的結果
+ * @param {number} ts - 當天第一則訊息的時間
+ * @param {number} [now] - 目前時間
+ */
+export function updateDaySeparator(el, ts, now = Date.now()) {
+  const text = formatDaySeparator(ts, now);
+  const label = el.firstChild;
+  if (label.textContent !== text) label.textContent = text;
+  el.setAttribute("aria-label", text);
+}
@@ -0,0 +1,46 @@
+/**
+ * 共用小工具：識別碼、可中止的等待
+ * 不依賴 DOM，瀏覽器與 Node 皆可直接 import
+ */
+
+/**
+ * 產生唯一識別碼
+ * @returns {string} 隨機字串
+ */
+export const uid = () => Math.random().toString(36).slice(2);
+
+/**
+ * 產生 UUID（clientId、對話串的 conversationId 使用）
+ * 優先使用 crypto.randomUUID()，較舊瀏覽器則用備援方案
+ * @returns {string}
+ */
+export function randomUUID() {
+  return (
+    (globalThis.crypto?.randomUUID && crypto.randomUUID()) ||
+    `${Date.now()}-${Math.random().toString(36).slice(2)}`
+  );
+}
+
+/**
+ * 可被中止的等待
+ * @param {number} ms - 毫秒
+ * @param {AbortSignal} signal - 中止訊號
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException("Aborted", "AbortError"));
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DOMException("Aborted", "AbortError"));
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
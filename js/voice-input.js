@@ -0,0 +1,100 @@
+/**
+ * 語音輸入：Web Speech API 的 SpeechRecognition（Chrome / Edge / Safari 為 webkitSpeechRecognition）
+ * 只負責辨識流程與錯誤分類；按鈕、輸入框與送出由 app.js 處理
+ */
+
+/* =========================
+   ★ 語音輸入
+   - 一次辨識一句（continuous: false），interimResults 即時回報尚未定稿的文字
+   - 結束時以 onEnd(定稿文字) 通知；沒有辨識到內容、出錯或被中止時為空字串
+   - 錯誤代碼對應 i18n 鍵（VOICE_ERROR_MESSAGES）；中止（aborted）不提示
+   - 麥克風權限被拒（not-allowed）時瀏覽器不會再次詢問，需提示使用者到網站設定開啟
+   ========================= */
+
+/** SpeechRecognition 錯誤代碼 → i18n 鍵（未列出的代碼使用 voiceFailed） */
+export const VOICE_ERROR_MESSAGES = {
+  "no-speech": "voiceNoSpeech",
+  "audio-capture": "voiceNoMic",
+  "not-allowed": "voiceDenied",
+  "service-not-allowed": "voiceDenied",
+  network: "voiceNetwork",
+};
+
+/**
+ * 取得瀏覽器的 SpeechRecognition 建構子
+ * @returns {Function|undefined}
+ */
+function speechRecognitionClass() {
+  return globalThis.SpeechRecognition || globalThis.webkitSpeechRecognition;
+}
+
+/**
+ * 瀏覽器是否支援語音辨識
+ * @returns {boolean}
+ */
+export function isVoiceInputSupported() {
+  return typeof speechRecognitionClass() === "function";
+}
+
+/**
+ * 開始一次語音辨識
+ * @param {object} options
+ * @param {string} options.lang - 辨識語言（BCP 47，例如 zh-TW）
+ * @param {(text: string) => void} options.onInterim - 目前為止辨識到的文字（含未定稿部分）
+ * @param {(messageKey: string) => void} options.onError - 需要提示使用者的錯誤（i18n 鍵）
+ * @param {(finalText: string) => void} options.onEnd - 辨識結束（只會呼叫一次）
+ * @returns {{stop: () => void, abort: () => void}|null} stop：停止收音並取得結果；abort：放棄這次辨識
+ *   無法開始時回傳 null（onError 與 onEnd 已同步呼叫過）
+ */
+export function startVoiceInput({ lang, onInterim, onError, onEnd }) {
+  const Recognition = speechRecognitionClass();
+  const recognition = new Recognition();
+  recognition.lang = lang;
+  recognition.interimResults = true;
+  recognition.continuous = false;
+  recognition.maxAlternatives = 1;
+
+  let finalText = "";
+  let failed = false;
+  let ended = false;
+  const finish = () => {
+    if (ended) return;
+    ended = true;
+    onEnd(failed ? "" : finalText.trim());
+  };
+
+  recognition.onresult = (e) => {
+    let interim = "";
+    finalText = "";
+    for (let i = 0; i < e.results.length; i++) {
+      const result = e.results[i];
+      if (result.isFinal) finalText += result[0].transcript;
+      else interim += result[0].transcript;
+    }
+    onInterim((finalText + interim).trim());
+  };
+  recognition.onerror = (e) => {
+    failed = true;
+    if (e.error === "aborted") return;
+    onError(VOICE_ERROR_MESSAGES[e.error] || "voiceFailed");
+  };
+  recognition.onend = finish;
+
+  try {
+    recognition.start();
+  } catch {
+    // 例如上一次辨識尚未結束（InvalidStateError）
+    failed = true;
+    onError("voiceFailed");
+    finish();
+    return null;
+  }
+
+  return {
+    stop: () => recognition.stop(),
+    abort: () => {
+      failed = true;
+      recognition.abort();
+    },
+  };
+}
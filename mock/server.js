@@ -0,0 +1,442 @@
+/**
+ * 本機模擬後端（/api/chat、/api/health、/api/feedback）
+ *
+ * 用途：
+ * - 不連 Render 也能開發前端，並隨時重現邊界情況（空物件 {}、502/404、非 JSON 回應、串流…）
+ * - 同時提供前端靜態檔案（只限 index.html、styles.css、app.js、js/），開啟 http://127.0.0.1:8787/ 即可使用
+ *   （/config.json 改回傳 local 環境，API 走同源）
+ * - 預設只監聽 127.0.0.1；要讓區網其他裝置連線時再指定 --host 0.0.0.0
+ *
+ * 執行：
+ *   node mock/server.js [--port 8787] [--host 127.0.0.1] [--scenario 名稱] [--scenarios 目錄] [--cold-start 毫秒]
+ *                       [--feedback-status 狀態碼]
+ *   亦可用環境變數 PORT、HOST、MOCK_SCENARIO、MOCK_COLD_START_MS、MOCK_FEEDBACK_STATUS
+ *
+ * 情境選擇（每次請求依序判斷）：
+ * 1) 啟動時指定 --scenario：所有請求都用該情境
+ * 2) 訊息以「#名稱」開頭：使用同名情境，例如「#table」
+ * 3) 訊息包含情境 match 中的任一關鍵字（不分大小寫）
+ * 4) 都沒有時使用 default
+ * GET /api/mock/scenarios 可列出目前所有情境
+ *
+ * 情境檔（scenarios/*.json，每次請求重新讀取，修改後不需重啟）：
+ * {
+ *   "description": "說明",
+ *   "match": ["關鍵字"],
+ *   "delayMs": 0,                       // 回應前等待
+ *   "status": 200,
+ *   "headers": { "Content-Type": "…" },
+ *   "body": {} | "原始字串",             // 物件以 JSON 送出，字串原樣送出
+ *   "text": "回覆內容",                  // body 的簡寫，等同 { "text": … }
+ *   "textFile": "long-markdown.md",     // 從情境目錄讀取回覆內容
+ *   "stream": {                         // 有此欄位時以串流回覆
+ *     "format": "sse" | "ndjson",
+ *     "chunks": ["片段", { "event": "error", "data": { "error": "…" } }],
+ *     "chunkSize": 16,                  // 沒有 chunks 時，把 text 切成固定長度的 delta
+ *     "intervalMs": 50,
+ *     "done": true                      // 結尾是否送出 [DONE] / {"done":true}
+ *   },
+ *   "responses": [ {…}, {…} ]           // 同一個 idempotencyKey 第 n 次請求用第 n 個（超出取最後一個）
+ * }
+ * 字串中的 {{text}}、{{language}}、{{clientId}}、{{conversationId}} 會代入請求內容
+ *
+ * 回覆評價（POST /api/feedback）：
+ * - 檢查 clientId、messageId、rating 後回傳 { ok: true }，同一個 messageId 只保留最新一筆
+ * - --feedback-status 固定回傳指定狀態碼（例如 503），用來測試前端的待送佇列與重送
+ * - GET /api/mock/feedback 可列出目前收到的評價
+ */
+
+"use strict";
+
+const http = require("node:http");
+const fs = require("node:fs");
+const path = require("node:path");
+const { parseArgs } = require("node:util");
+
+/* =========================
+   啟動參數
+   ========================= */
+const { values: args } = parseArgs({
+  options: {
+    port: { type: "string" },
+    host: { type: "string" },
+    scenario: { type: "string" },
+    scenarios: { type: "string" },
+    "cold-start": { type: "string" },
+    "feedback-status": { type: "string" },
+  },
+});
+
+const PORT = Number(args.port || process.env.PORT || 8787);
+const HOST = args.host || process.env.HOST || "127.0.0.1";
+const FORCED_SCENARIO = args.scenario || process.env.MOCK_SCENARIO || "";
+const SCENARIO_DIR = path.resolve(args.scenarios || path.join(__dirname, "scenarios"));
+const COLD_START_MS = Number(args["cold-start"] || process.env.MOCK_COLD_START_MS || 0);
+const FEEDBACK_STATUS = Number(args["feedback-status"] || process.env.MOCK_FEEDBACK_STATUS || 0);
+
+/** 靜態檔案根目錄（repo 根目錄） */
+const STATIC_ROOT = path.resolve(__dirname, "..");
+
+/** 可對外提供的靜態檔案（其餘如 .git/、mock/、requests.jsonl 一律 404） */
+const STATIC_FILES = new Set(["/index.html", "/styles.css", "/app.js"]);
+const STATIC_DIRS = ["/js/"];
+
+/** 伺服器啟動時間（模擬冷啟動用） */
+const startedAt = Date.now();
+
+/** idempotencyKey → 已收到的次數（responses 序列使用） */
+const attempts = new Map();
+
+/** messageId → 最新的回覆評價 */
+const feedbacks = new Map();
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".md": "text/markdown; charset=utf-8",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".svg": "image/svg+xml",
+  ".ico": "image/x-icon",
+};
+
+/* =========================
+   工具
+   ========================= */
+
+/**
+ * 等待指定毫秒
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * 輸出一行紀錄
+ * @param {...*} parts
+ */
+function log(...parts) {
+  console.log(new Date().toISOString().slice(11, 19), ...parts);
+}
+
+/**
+ * 允許任何來源呼叫（前端可能以其他埠或 file:// 開啟）
+ * @param {http.ServerResponse} res
+ */
+function setCorsHeaders(res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Accept, X-Client-Id");
+}
+
+/**
+ * 送出 JSON 回應
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {*} data
+ */
+function sendJSON(res, status, data) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * 讀取請求本文
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<string>}
+ */
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+/**
+ * 將字串中的 {{name}} 代入請求內容（遞迴處理物件與陣列）
+ * @param {*} value
+ * @param {Record<string, string>} vars
+ * @returns {*}
+ */
+function fillTemplate(value, vars) {
+  if (typeof value === "string") {
+    return value.replace(/\{\{(\w+)\}\}/g, (match, name) => (name in vars ? vars[name] : match));
+  }
+  if (Array.isArray(value)) return value.map((v) => fillTemplate(v, vars));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fillTemplate(v, vars)]));
+  }
+  return value;
+}
+
+/* =========================
+   情境
+   ========================= */
+
+/**
+ * 讀取所有情境檔
+ * @returns {Map<string, object>} 名稱 → 情境
+ */
+function loadScenarios() {
+  const scenarios = new Map();
+  for (const file of fs.readdirSync(SCENARIO_DIR).sort()) {
+    if (path.extname(file) !== ".json") continue;
+    const name = path.basename(file, ".json");
+    try {
+      scenarios.set(name, JSON.parse(fs.readFileSync(path.join(SCENARIO_DIR, file), "utf8")));
+    } catch (err) {
+      log(`情境檔 ${file} 無法解析：${err.message}`);
+    }
+  }
+  return scenarios;
+}
+
+/**
+ * 依訊息內容選擇情境
+ * @param {Map<string, object>} scenarios
+ * @param {string} text - 使用者訊息
+ * @returns {[string, object]} [名稱, 情境]
+ */
+function pickScenario(scenarios, text) {
+  if (FORCED_SCENARIO && scenarios.has(FORCED_SCENARIO)) {
+    return [FORCED_SCENARIO, scenarios.get(FORCED_SCENARIO)];
+  }
+
+  const tag = /^#([\w-]+)/.exec(text.trim());
+  if (tag && scenarios.has(tag[1])) return [tag[1], scenarios.get(tag[1])];
+
+  const lower = text.toLowerCase();
+  for (const [name, scenario] of scenarios) {
+    const keywords = Array.isArray(scenario.match) ? scenario.match : [];
+    if (keywords.some((k) => lower.includes(String(k).toLowerCase()))) return [name, scenario];
+  }
+
+  return ["default", scenarios.get("default") || { text: "（模擬回覆）{{text}}" }];
+}
+
+/**
+ * 取得本次要用的回應設定（處理 responses 序列與 textFile）
+ * @param {object} scenario
+ * @param {string} key - idempotencyKey（沒有時每次都從第一個開始）
+ * @returns {object}
+ */
+function resolveStep(scenario, key) {
+  let step = scenario;
+  if (Array.isArray(scenario.responses) && scenario.responses.length) {
+    const n = key ? attempts.get(key) || 0 : 0;
+    if (key) attempts.set(key, n + 1);
+    step = { ...scenario, ...scenario.responses[Math.min(n, scenario.responses.length - 1)] };
+  }
+  if (step.textFile) {
+    step = { ...step, text: fs.readFileSync(path.join(SCENARIO_DIR, step.textFile), "utf8") };
+  }
+  return step;
+}
+
+/**
+ * 以串流方式送出回覆
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {object} step - 回應設定
+ */
+async function sendStream(req, res, step) {
+  const { format = "sse", intervalMs = 50, chunkSize = 16, done = true } = step.stream;
+  const isSSE = format === "sse";
+
+  let chunks = step.stream.chunks;
+  if (!Array.isArray(chunks)) {
+    const text = String(step.text ?? "");
+    chunks = [];
+    for (let i = 0; i < text.length; i += chunkSize) chunks.push(text.slice(i, i + chunkSize));
+  }
+
+  let closed = false;
+  req.on("close", () => {
+    closed = true;
+  });
+
+  res.writeHead(step.status || 200, {
+    "Content-Type": isSSE ? "text/event-stream; charset=utf-8" : "application/x-ndjson; charset=utf-8",
+    "Cache-Control": "no-cache",
+    ...step.headers,
+  });
+
+  for (const chunk of chunks) {
+    if (closed) return;
+    if (isSSE && chunk && typeof chunk === "object" && chunk.event) {
+      res.write(`event: ${chunk.event}\ndata: ${JSON.stringify(chunk.data ?? {})}\n\n`);
+    } else {
+      const payload = JSON.stringify(typeof chunk === "string" ? { delta: chunk } : chunk);
+      res.write(isSSE ? `data: ${payload}\n\n` : `${payload}\n`);
+    }
+    await sleep(intervalMs);
+  }
+
+  if (closed) return;
+  if (done) res.write(isSSE ? "data: [DONE]\n\n" : `${JSON.stringify({ done: true })}\n`);
+  res.end();
+}
+
+/* =========================
+   路由
+   ========================= */
+
+/**
+ * 模擬冷啟動：啟動後 COLD_START_MS 內的請求先卡住
+ * @returns {Promise<void>}
+ */
+async function waitColdStart() {
+  const remaining = startedAt + COLD_START_MS - Date.now();
+  if (remaining > 0) await sleep(remaining);
+}
+
+/**
+ * POST /api/chat
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+async function handleChat(req, res) {
+  if (req.method !== "POST") return sendJSON(res, 405, { error: "Method Not Allowed" });
+
+  let payload;
+  try {
+    payload = JSON.parse(await readBody(req));
+  } catch {
+    return sendJSON(res, 400, { error: "Body must be JSON" });
+  }
+
+  // 與正式後端相同的請求格式
+  const { text, clientId, language, conversationId, idempotencyKey } = payload || {};
+  if (typeof text !== "string" || !text.trim()) return sendJSON(res, 400, { error: "text is required" });
+  if (typeof clientId !== "string" || !clientId) return sendJSON(res, 400, { error: "clientId is required" });
+  if (req.headers["x-client-id"] !== clientId) log("⚠ X-Client-Id 標頭與 body.clientId 不一致");
+  if (!language) log("⚠ 缺少 language");
+
+  const [name, scenario] = pickScenario(loadScenarios(), text);
+  const vars = {
+    text,
+    clientId,
+    language: String(language ?? ""),
+    conversationId: String(conversationId ?? ""),
+  };
+  const step = fillTemplate(resolveStep(scenario, idempotencyKey), vars);
+  log(`POST /api/chat [${name}] ${JSON.stringify(text.slice(0, 40))}`);
+
+  await waitColdStart();
+  if (step.delayMs) await sleep(step.delayMs);
+  if (res.destroyed) return;
+
+  if (step.stream) return sendStream(req, res, step);
+
+  const body = step.body !== undefined ? step.body : { text: step.text ?? "" };
+  const isRaw = typeof body === "string";
+  res.writeHead(step.status || 200, {
+    "Content-Type": isRaw ? "text/plain; charset=utf-8" : "application/json; charset=utf-8",
+    ...step.headers,
+  });
+  res.end(isRaw ? body : JSON.stringify(body));
+}
+
+/**
+ * POST /api/feedback
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+async function handleFeedback(req, res) {
+  if (req.method !== "POST") return sendJSON(res, 405, { error: "Method Not Allowed" });
+
+  let payload;
+  try {
+    payload = JSON.parse(await readBody(req));
+  } catch {
+    return sendJSON(res, 400, { error: "Body must be JSON" });
+  }
+
+  const { clientId, messageId, rating, reason, comment } = payload || {};
+  if (typeof clientId !== "string" || !clientId) return sendJSON(res, 400, { error: "clientId is required" });
+  if (typeof messageId !== "string" || !messageId) return sendJSON(res, 400, { error: "messageId is required" });
+  if (rating !== "up" && rating !== "down") return sendJSON(res, 400, { error: "rating must be up or down" });
+  if (req.headers["x-client-id"] !== clientId) log("⚠ X-Client-Id 標頭與 body.clientId 不一致");
+
+  await waitColdStart();
+  if (FEEDBACK_STATUS) {
+    log(`POST /api/feedback ${messageId} → 固定回傳 ${FEEDBACK_STATUS}`);
+    return sendJSON(res, FEEDBACK_STATUS, { error: "Mock feedback status" });
+  }
+
+  feedbacks.set(messageId, payload);
+  log(`POST /api/feedback ${messageId} ${rating === "up" ? "👍" : "👎"}${reason ? ` [${reason}]` : ""}${comment ? ` ${JSON.stringify(String(comment).slice(0, 40))}` : ""}`);
+  sendJSON(res, 200, { ok: true });
+}
+
+/**
+ * GET 靜態檔案（限 STATIC_FILES / STATIC_DIRS 白名單）
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string} pathname
+ */
+function handleStatic(req, res, pathname) {
+  if (req.method !== "GET" && req.method !== "HEAD") return sendJSON(res, 405, { error: "Method Not Allowed" });
+
+  // 以 local 環境開啟前端，API 走同源
+  if (pathname === "/config.json") {
+    return sendJSON(res, 200, { env: "local", profiles: { local: { apiBase: "" } } });
+  }
+
+  let rel;
+  try {
+    rel = path.posix.normalize(decodeURIComponent(pathname === "/" ? "/index.html" : pathname));
+  } catch {
+    return sendJSON(res, 400, { error: "Bad Request" });
+  }
+  if (!STATIC_FILES.has(rel) && !STATIC_DIRS.some((dir) => rel.startsWith(dir))) {
+    return sendJSON(res, 404, { error: "Not Found" });
+  }
+
+  const file = path.join(STATIC_ROOT, rel);
+  if (!file.startsWith(STATIC_ROOT + path.sep)) return sendJSON(res, 403, { error: "Forbidden" });
+
+  fs.readFile(file, (err, data) => {
+    if (err) return sendJSON(res, 404, { error: "Not Found" });
+    res.writeHead(200, { "Content-Type": MIME_TYPES[path.extname(file)] || "application/octet-stream" });
+    res.end(req.method === "HEAD" ? undefined : data);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  setCorsHeaders(res);
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    return res.end();
+  }
+
+  const { pathname } = new URL(req.url, "http://localhost");
+  try {
+    if (pathname === "/api/chat") return await handleChat(req, res);
+    if (pathname === "/api/feedback") return await handleFeedback(req, res);
+    if (pathname === "/api/health") {
+      await waitColdStart();
+      return sendJSON(res, 200, { ok: true });
+    }
+    if (pathname === "/api/mock/scenarios") {
+      const list = [...loadScenarios()].map(([name, s]) => ({ name, description: s.description || "", match: s.match || [] }));
+      return sendJSON(res, 200, list);
+    }
+    if (pathname === "/api/mock/feedback") return sendJSON(res, 200, [...feedbacks.values()]);
+    return handleStatic(req, res, pathname);
+  } catch (err) {
+    log(`處理 ${pathname} 失敗：${err.stack || err}`);
+    if (!res.headersSent) sendJSON(res, 500, { error: String(err.message || err) });
+    else res.end();
+  }
+});
+
+server.listen(PORT, HOST, () => {
+  log(`模擬後端已啟動：http://${HOST}:${PORT}/`);
+  log(`情境目錄：${SCENARIO_DIR}`);
+  log(`情境：${[...loadScenarios().keys()].join(", ")}${FORCED_SCENARIO ? `（固定使用 ${FORCED_SCENARIO}）` : ""}`);
+  if (COLD_START_MS) log(`模擬冷啟動 ${COLD_START_MS}ms`);
+  if (FEEDBACK_STATUS) log(`回覆評價固定回傳 ${FEEDBACK_STATUS}`);
+});